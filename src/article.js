@@ -0,0 +1,171 @@
+// src/article.js
+// Readable-content extraction + HTML sanitizing for full-article (content:encoded) feeds
+
+// Elements whose whole subtree is dropped before we look for content
+const DROP_BLOCKS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "math",
+  "iframe",
+  "object",
+  "embed",
+  "form",
+  "button",
+  "select",
+  "textarea",
+  "head",
+  "nav",
+  "header",
+  "footer",
+  "aside"
+];
+
+// Tags kept in the output (attributes are dropped except the ones listed)
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  hr: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  ul: [],
+  ol: [],
+  li: [],
+  blockquote: [],
+  pre: [],
+  code: [],
+  em: [],
+  i: [],
+  strong: [],
+  b: [],
+  sub: [],
+  sup: [],
+  figure: [],
+  figcaption: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: [],
+  td: [],
+  a: ["href"],
+  img: ["src", "alt"]
+};
+
+const VOID_TAGS = new Set(["br", "hr", "img"]);
+const URL_ATTRS = new Set(["href", "src"]);
+
+// Anything shorter than this is a paywall stub, cookie banner etc. — not an article
+const MIN_TEXT_LENGTH = 200;
+// Past this we'd rather skip the item than cut HTML mid-tag or bloat the feed
+const MAX_HTML_LENGTH = 100_000;
+
+function stripBlocks(html) {
+  let s = String(html || "").replace(/<!--[\s\S]*?-->/g, "");
+  for (const tag of DROP_BLOCKS) {
+    s = s.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, "gi"), "");
+    // Unclosed leftovers (e.g. <img>-style <embed>)
+    s = s.replace(new RegExp(`<${tag}\\b[^>]*>`, "gi"), "");
+  }
+  return s;
+}
+
+function textLength(html) {
+  return html.replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim().length;
+}
+
+// Outermost <tag>…</tag> span, so nested elements of the same kind stay inside
+function outerElement(html, tag) {
+  const start = html.search(new RegExp(`<${tag}\\b`, "i"));
+  if (start < 0) return "";
+  const closeRe = new RegExp(`<\\/${tag}\\s*>`, "gi");
+  let end = -1;
+  let m;
+  while ((m = closeRe.exec(html))) end = m.index + m[0].length;
+  return end > start ? html.slice(start, end) : "";
+}
+
+/**
+ * Pick the main readable part of a page:
+ *  1. the outermost <article>, then <main>, if it holds enough text
+ *  2. otherwise every substantial <p> on the page, in order
+ */
+function pickMainContent(html) {
+  for (const tag of ["article", "main"]) {
+    const el = outerElement(html, tag);
+    if (el && textLength(el) >= MIN_TEXT_LENGTH) return el;
+  }
+
+  const paragraphs = html.match(/<p\b[^>]*>[\s\S]*?<\/p\s*>/gi) || [];
+  return paragraphs.filter((p) => textLength(p) >= 40).join("\n");
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Only absolute http(s) URLs survive; relative ones resolve against the page
+function safeUrl(value, baseUrl) {
+  try {
+    const u = new URL(value.trim(), baseUrl);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Keep only ALLOWED_TAGS with their allowed attributes; everything else
+ * (tags, attributes, event handlers, non-http URLs) is removed. Text is left
+ * as the page encoded it.
+ */
+export function sanitizeHtml(html, baseUrl) {
+  return stripBlocks(html)
+    .replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g, (m, close, rawTag, rawAttrs) => {
+      const tag = rawTag.toLowerCase();
+      const allowed = ALLOWED_TAGS[tag];
+      if (!allowed) return "";
+      if (close) return VOID_TAGS.has(tag) ? "" : `</${tag}>`;
+
+      const attrs = [];
+      const attrRe = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+      let a;
+      while ((a = attrRe.exec(rawAttrs))) {
+        const name = a[1].toLowerCase();
+        if (!allowed.includes(name)) continue;
+        const value = a[2] ?? a[3] ?? a[4] ?? "";
+        if (URL_ATTRS.has(name)) {
+          const href = safeUrl(value.replace(/&amp;/g, "&"), baseUrl);
+          if (href) attrs.push(`${name}="${escapeAttr(href)}"`);
+        } else {
+          // Already entity-encoded by the page; only make it safe to re-quote
+          attrs.push(`${name}="${value.replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;")}"`);
+        }
+      }
+
+      // Images without a usable src are just noise
+      if (tag === "img" && !attrs.some((attr) => attr.startsWith("src="))) return "";
+
+      return `<${tag}${attrs.length ? " " + attrs.join(" ") : ""}>`;
+    })
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Main article body of `html`, sanitized for embedding in a feed.
+ * Returns "" when nothing article-like was found.
+ */
+export function extractArticleHtml(html, baseUrl) {
+  const main = pickMainContent(stripBlocks(html));
+  if (textLength(main) < MIN_TEXT_LENGTH) return "";
+
+  const clean = sanitizeHtml(main, baseUrl);
+  return clean.length > MAX_HTML_LENGTH ? "" : clean;
+}
@@ -0,0 +1,97 @@
+// src/errors.js
+// Error responses — one model ({ status, code, message, requestId }), rendered as JSON or XML by Accept
+
+// Errors are created deep in the worker, where the request isn't at hand.
+// They start as plain-text responses and are remembered here; the fetch
+// handler renders them for the client with renderError().
+const ERRORS = new WeakMap();
+const REQUEST_IDS = new WeakMap();
+
+/**
+ * Error response for the client.
+ *   code     stable machine-readable id ("bad_request", "upstream_error", ...)
+ *   message  safe to show publicly; never upstream payloads or stacks
+ *   detail   internal context, only ever logged
+ *   headers  extra headers (retry-after, allow, www-authenticate)
+ */
+export function httpError(status, code, message, { detail = null, headers = {} } = {}) {
+  const resp = new Response(message, {
+    status,
+    headers: { "content-type": "text/plain; charset=utf-8", ...headers }
+  });
+  ERRORS.set(resp, { status, code, message, detail });
+  return resp;
+}
+
+// { status, code, message, detail } for responses made by httpError, else null
+export function errorInfo(resp) {
+  return ERRORS.get(resp) || null;
+}
+
+// Cloudflare's ray id when present (matches the edge logs), else a fresh one.
+// Stable for the lifetime of the request.
+export function requestIdFor(request) {
+  let id = REQUEST_IDS.get(request);
+  if (!id) {
+    id = request.headers.get("cf-ray") || crypto.randomUUID();
+    REQUEST_IDS.set(request, id);
+  }
+  return id;
+}
+
+// Highest q-value the Accept header gives any type matching `test`
+function acceptQuality(accept, test) {
+  let best = 0;
+  for (const part of accept.split(",")) {
+    const [type, ...params] = part.trim().toLowerCase().split(";");
+    if (!type || !test(type.trim())) continue;
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+    best = Math.max(best, q ? Number(q.slice(2)) || 0 : 1);
+  }
+  return best;
+}
+
+// XML for feed readers (which ask for rss+xml / atom+xml / xml), JSON otherwise
+function wantsXml(request) {
+  const accept = request.headers.get("accept") || "";
+  const xml = acceptQuality(accept, (t) => t.endsWith("/xml") || t.endsWith("+xml"));
+  const json = acceptQuality(accept, (t) => t.endsWith("/json") || t.endsWith("+json"));
+  return xml > json;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Final client-facing version of an httpError() response, with the request
+ * id in the body and the x-request-id header. Other responses pass through.
+ */
+export function renderError(request, resp) {
+  const info = ERRORS.get(resp);
+  if (!info) return resp;
+
+  const requestId = requestIdFor(request);
+  const error = { status: info.status, code: info.code, message: info.message, requestId };
+
+  const headers = new Headers(resp.headers);
+  headers.set("x-request-id", requestId);
+  headers.set("cache-control", "no-store");
+
+  let body;
+  if (wantsXml(request)) {
+    headers.set("content-type", "application/xml; charset=utf-8");
+    body = `<?xml version="1.0" encoding="UTF-8"?>
+<error>
+  <status>${error.status}</status>
+  <code>${escapeXml(error.code)}</code>
+  <message>${escapeXml(error.message)}</message>
+  <requestId>${escapeXml(requestId)}</requestId>
+</error>`;
+  } else {
+    headers.set("content-type", "application/json; charset=utf-8");
+    body = JSON.stringify({ error });
+  }
+
+  return new Response(request.method === "HEAD" ? null : body, { status: info.status, headers });
+}
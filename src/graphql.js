@@ -0,0 +1,174 @@
+// src/graphql.js
+// GraphQL client for the Digg API — per-attempt timeouts, jittered retries, Retry-After and a circuit breaker
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 2000;
+// A Retry-After longer than this isn't waited out inside a request; the
+// breaker stays open for it instead
+const MAX_RETRY_AFTER_MS = 5000;
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either delay-seconds or an HTTP date; null when absent/invalid
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+// "Full jitter": anywhere between 0 and the exponential cap
+function backoffMs(attempt) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+/**
+ * Circuit breaker over upstream health (network errors, timeouts, 5xx/429 —
+ * not GraphQL errors, which are answers).
+ *   closed     requests go through; `failureThreshold` failures in a row open it
+ *   open       requests are refused until `cooldownMs` (or a longer Retry-After) passes
+ *   half-open  one trial request; success closes the breaker, failure re-opens it
+ *
+ * A trial that hasn't reported back after `probeTimeoutMs` (its invocation was
+ * cancelled mid-request) gives up its slot, so the breaker can't stay stuck.
+ * State lives in the isolate, so each isolate learns about an outage on its own.
+ */
+export function createCircuitBreaker({
+  failureThreshold = 5,
+  cooldownMs = 30_000,
+  probeTimeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+  let failures = 0;
+  let openUntil = 0;
+  let probeStartedAt = null;
+
+  const probing = (now) => probeStartedAt != null && now - probeStartedAt < probeTimeoutMs;
+
+  return {
+    // May a request go out now? Claims the half-open trial slot when it's free.
+    allow(now = Date.now()) {
+      if (failures < failureThreshold) return true;
+      if (now < openUntil || probing(now)) return false;
+      probeStartedAt = now;
+      return true;
+    },
+
+    isOpen(now = Date.now()) {
+      return failures >= failureThreshold && (now < openUntil || probing(now));
+    },
+
+    // ms until a trial request is allowed again (0 when closed)
+    retryInMs(now = Date.now()) {
+      return failures >= failureThreshold ? Math.max(0, openUntil - now) : 0;
+    },
+
+    recordSuccess() {
+      failures = 0;
+      openUntil = 0;
+      probeStartedAt = null;
+    },
+
+    // `retryAfterMs` keeps the breaker open at least that long
+    recordFailure(retryAfterMs = 0, now = Date.now()) {
+      failures = probeStartedAt != null ? failureThreshold : failures + 1;
+      probeStartedAt = null;
+      if (retryAfterMs > MAX_RETRY_AFTER_MS) failures = Math.max(failures, failureThreshold);
+      if (failures >= failureThreshold) openUntil = now + Math.max(cooldownMs, retryAfterMs);
+    }
+  };
+}
+
+/**
+ * GraphQL over POST. request() resolves to { data } or { error }, never throws:
+ *   { error, status? }             upstream answered with errors or failed for good
+ *   { error, circuitOpen: true }   refused locally while the breaker is open
+ *
+ * Retries (with jittered exponential backoff, or exactly Retry-After when the
+ * upstream sends one) cover network errors, timeouts and RETRYABLE_STATUSES.
+ * Every failed attempt counts towards the breaker. onEvent(event, fields) hears
+ * about retries and breaker trips.
+ */
+export function createGraphqlClient({
+  endpoint,
+  headers = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  // A trial request can't outlive its own timeout
+  breaker = createCircuitBreaker({ probeTimeoutMs: timeoutMs }),
+  onEvent = () => {}
+}) {
+  async function attempt(body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const resp = await fetch(endpoint, {
+        method: "POST",
+        headers: { "content-type": "application/json", accept: "application/json", ...headers },
+        body,
+        signal: controller.signal
+      });
+
+      const json = await resp.json().catch(() => null);
+
+      if (RETRYABLE_STATUSES.has(resp.status) || (resp.ok && !json)) {
+        return {
+          retryable: true,
+          retryAfterMs: parseRetryAfter(resp.headers.get("retry-after")),
+          error: json?.errors || json || { status: resp.status }
+        };
+      }
+
+      if (resp.ok && json.data && !json.errors) return { data: json.data };
+      return { error: json?.errors || json || { status: resp.status }, status: resp.status };
+    } catch (err) {
+      const timedOut = controller.signal.aborted;
+      return { retryable: true, error: { message: timedOut ? `timed out after ${timeoutMs}ms` : String(err) } };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function request(operationName, query, variables) {
+    const body = JSON.stringify({ operationName, query, variables });
+    let last = null;
+
+    for (let i = 0; i < maxAttempts; i++) {
+      if (!breaker.allow()) {
+        const error = last?.error || { message: "circuit open: upstream recently failing" };
+        return { error, circuitOpen: true };
+      }
+
+      const result = await attempt(body);
+      if (!result.retryable) {
+        // A GraphQL error is still a healthy upstream
+        breaker.recordSuccess();
+        return result.data ? { data: result.data } : { error: result.error, status: result.status };
+      }
+
+      const wasOpen = breaker.isOpen();
+      breaker.recordFailure(result.retryAfterMs || 0);
+      last = result;
+
+      if (!wasOpen && breaker.isOpen()) {
+        onEvent("graphql.circuit_open", { operationName, error: result.error, retryInMs: breaker.retryInMs() });
+      }
+
+      if (i === maxAttempts - 1) break;
+      if (result.retryAfterMs != null && result.retryAfterMs > MAX_RETRY_AFTER_MS) break;
+
+      const delayMs = Math.round(result.retryAfterMs ?? backoffMs(i));
+      onEvent("graphql.retry", { operationName, attempt: i + 1, delayMs, error: result.error });
+      await sleep(delayMs);
+    }
+
+    return { error: last.error };
+  }
+
+  return { request, breaker };
+}
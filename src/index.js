@@ -1,5 +1,14 @@
 // src/index.js
-// Digg RSS Worker — external-first + optional "Discuss on Digg" + TL;DR from Digg HTML
+// Digg RSS Worker (RSS 2.0 / Atom 1.0 / JSON Feed 1.1) — external-first + optional "Discuss on Digg" + TL;DR from Digg HTML
+
+import { extractArticleHtml } from "./article.js";
+import { errorInfo, httpError, renderError, requestIdFor } from "./errors.js";
+import { createGraphqlClient } from "./graphql.js";
+import { detectMedia } from "./media.js";
+import { LEGACY_ENTITIES, NAMED_ENTITIES } from "./entities.js";
+import { createLogger, writeDataPoint } from "./log.js";
+import { readHeadMeta } from "./meta.js";
+import { renderFeedPage, renderHomePage } from "./pages.js";
 
 // =========================
 // Helpers
@@ -11,6 +20,61 @@ function clampInt(v, fallback, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
+const MAX_COMMUNITIES = 10;
+
+// ?sort= allowlist -> upstream PostSort enum value + title label. Only TOP_N
+// is known to exist; the others are sent as named, and one upstream rejects
+// is answered with 400 from then on (see supportedSorts).
+const SORTS = {
+  top: { gql: "TOP_N", label: "Top" },
+  newest: { gql: "NEWEST", label: "Newest" },
+  rising: { gql: "RISING", label: "Rising" }
+};
+
+const DEFAULT_SORT = "top";
+const DEFAULT_TLDR_MAX = 220;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Default escalation when a window comes back thin
+const COMMUNITY_WINDOWS_MS = [DAY_MS, 3 * DAY_MS, 7 * DAY_MS];
+const ALL_WINDOWS_MS = [DAY_MS, 7 * DAY_MS];
+
+// "6h" / "1d" / "2w" -> ms (1h..30d); null when missing or invalid
+function parseWindow(v) {
+  const m = String(v || "").trim().toLowerCase().match(/^(\d+)\s*([hdw])$/);
+  if (!m) return null;
+  const unitMs = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS }[m[2]];
+  const ms = Number(m[1]) * unitMs;
+  return ms >= HOUR_MS && ms <= 30 * DAY_MS ? ms : null;
+}
+
+// ms -> "2w" / "1d" / "6h", the shortest spelling parseWindow reads back
+function formatWindow(ms) {
+  if (ms % (7 * DAY_MS) === 0) return `${ms / (7 * DAY_MS)}w`;
+  if (ms % DAY_MS === 0) return `${ms / DAY_MS}d`;
+  return `${Math.round(ms / HOUR_MS)}h`;
+}
+
+// Windows to try, in order. An explicit window starts the ladder; strict mode
+// never widens past the first rung.
+function windowLadder({ isCommunity, windowMs, strict }) {
+  const ladder = isCommunity ? COMMUNITY_WINDOWS_MS : ALL_WINDOWS_MS;
+  if (!windowMs) return strict ? ladder.slice(0, 1) : ladder;
+  if (strict) return [windowMs];
+  return [windowMs, ...ladder.filter((ms) => ms > windowMs)];
+}
+
+// "tech, Science,tech" -> ["tech", "science"]; invalid slugs are dropped
+function parseCommunitySlugs(v) {
+  const slugs = String(v || "")
+    .split(",")
+    .map((slug) => slug.trim().toLowerCase())
+    .filter((slug) => /^[a-z0-9-]+$/.test(slug) && slug !== "all-digg-trending");
+  return [...new Set(slugs)].slice(0, MAX_COMMUNITIES);
+}
+
 function escapeXml(s) {
   return String(s || "")
     .replace(/&/g, "&amp;")
@@ -24,6 +88,34 @@ function cdataSafe(s) {
   return String(s || "").replaceAll("]]>", "]]&gt;");
 }
 
+// Map with at most `concurrency` calls of fn in flight; results keep input order
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+// Lowercase hex SHA-256 of a string
+async function sha256Hex(s) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s)));
+  return [...digest].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ISO timestamp for anything Date.parse understands, else null
+function isoDate(v) {
+  const t = Date.parse(v || "");
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
 function makeSnippet(text, maxLen = 220) {
   if (!text) return "";
   const clean = String(text).replace(/\s+/g, " ").trim();
@@ -33,387 +125,2311 @@ function makeSnippet(text, maxLen = 220) {
   return (cut > 40 ? truncated.slice(0, cut) : truncated) + "…";
 }
 
+// Numeric references 0x80–0x9F mean Windows-1252, as browsers read them
+// (&#146; is a right single quote, not a C1 control)
+const WINDOWS_1252 = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152,
+  0x8e: 0x017d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a,
+  0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178
+};
+
+function decodeCodePoint(code) {
+  if (WINDOWS_1252[code]) return String.fromCodePoint(WINDOWS_1252[code]);
+  if (!Number.isFinite(code) || code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+    return "\uFFFD";
+  }
+  return String.fromCodePoint(code);
+}
+
 /**
- * Decode both named entities (&quot;, &amp; etc) and numeric entities:
- *  - decimal: &#39;
- *  - hex:     &#x27;
+ * Decode HTML character references the way a browser would in text:
+ *  - every HTML5 named entity:  &mdash; &hellip; &rsquo; &eacute; …
+ *  - legacy names without ";":  &copy 2024, &eacute
+ *  - decimal / hex:             &#39; &#x27; (semicolon optional)
+ * Input that was escaped twice (&amp;#39;, &amp;mdash;) is unwrapped once first.
  */
 function decodeHtmlEntities(input) {
   if (!input) return "";
-  let s = String(input);
-
-  // Named entities (first pass)
-  const named = {
-    "&quot;": '"',
-    "&apos;": "'",
-    "&#39;": "'",
-    "&amp;": "&",
-    "&lt;": "<",
-    "&gt;": ">",
-    "&nbsp;": " "
-  };
 
-  s = s.replace(
-    /&quot;|&apos;|&#39;|&amp;|&lt;|&gt;|&nbsp;/g,
-    (m) => named[m] ?? m
-  );
+  const s = String(input).replace(/&amp;(#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, "&$1");
 
-  // Numeric decimal: &#123;
-  s = s.replace(/&#(\d+);/g, (m, num) => {
-    const code = Number(num);
-    if (!Number.isFinite(code)) return m;
-    try {
-      return String.fromCodePoint(code);
-    } catch {
-      return m;
-    }
-  });
+  return s.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));?/g, (m, dec, hex, name) => {
+    if (dec) return decodeCodePoint(Number(dec));
+    if (hex) return decodeCodePoint(parseInt(hex, 16));
 
-  // Numeric hex: &#x1F600;
-  s = s.replace(/&#x([0-9a-fA-F]+);/g, (m, hex) => {
-    const code = parseInt(hex, 16);
-    if (!Number.isFinite(code)) return m;
-    try {
-      return String.fromCodePoint(code);
-    } catch {
-      return m;
+    if (m.endsWith(";") && Object.hasOwn(NAMED_ENTITIES, name)) return NAMED_ENTITIES[name];
+
+    // No ";" (or unknown with one): longest legacy prefix wins, rest stays text
+    for (let len = name.length; len >= 2; len--) {
+      const prefix = name.slice(0, len);
+      if (LEGACY_ENTITIES.has(prefix)) return NAMED_ENTITIES[prefix] + m.slice(len + 1);
     }
+    return m;
   });
-
-  return s;
-}
-
-function extractMetaContent(html, key, isProperty = false) {
-  // key example: "og:description" or "description"
-  // Looks for: <meta property="og:description" content="...">
-  //        or: <meta name="description" content="...">
-  const attr = isProperty ? "property" : "name";
-  const re = new RegExp(
-    `<meta[^>]+${attr}\\s*=\\s*["']${key}["'][^>]*content\\s*=\\s*["']([^"']+)["'][^>]*>`,
-    "i"
-  );
-  const m = html.match(re);
-  return m ? decodeHtmlEntities(m[1]) : "";
 }
 
 // =========================
-// YouTube thumbnail helpers
+// Post metadata (TL;DR + OpenGraph) from Digg post HTML
 // =========================
 
-function isValidYouTubeId(id) {
-  return typeof id === "string" && /^[a-zA-Z0-9_-]{10,16}$/.test(id);
-}
+// Post pages don't change once they're up, so KV can keep them for weeks.
+// Empty ones are retried sooner in case Digg fills them in later.
+const POST_META_KV_TTL = 30 * 24 * 60 * 60;
+const POST_META_KV_EMPTY_TTL = 60 * 60;
+
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  svg: "image/svg+xml"
+};
 
-function getYouTubeVideoId(urlStr) {
-  if (!urlStr) return null;
-  let u;
+// og:image:type when the page declares it, else by extension, else "" (CDN
+// URLs often have none, and may serve WebP or PNG as readily as JPEG)
+function guessImageType(imageUrl, declared) {
+  if (/^image\/[a-z0-9.+-]+$/i.test(declared || "")) return declared.toLowerCase();
+  let ext = "";
   try {
-    u = new URL(urlStr);
+    ext = new URL(imageUrl).pathname.split(".").pop().toLowerCase();
   } catch {
-    return null;
+    // fall through
   }
+  return IMAGE_TYPES[ext] || "";
+}
 
-  const host = (u.hostname || "").replace(/^www\./, "").toLowerCase();
+// Per-request budget for Digg page scrapes: `concurrency` pages at a time,
+// each cut off after `timeoutMs`, none started after `deadline`. Items that
+// miss out fall back to a title-based description (and aren't cached, so a
+// later build picks them up).
+function createMetaBudget(env, log) {
+  return {
+    concurrency: clampInt(env.TLDR_CONCURRENCY, 6, 1, 50),
+    timeoutMs: clampInt(env.TLDR_FETCH_TIMEOUT_MS, 3000, 500, 10000),
+    deadline: Date.now() + clampInt(env.TLDR_BUDGET_MS, 6000, 1000, 25000),
+    log,
+    // cached: KV/edge hits, fetched: scraped now, failed: scrape errors or
+    // timeouts, skipped: budget already spent
+    stats: { cached: 0, fetched: 0, failed: 0, skipped: 0 }
+  };
+}
 
-  if (host === "youtu.be") {
-    const id = u.pathname.split("/").filter(Boolean)[0];
-    return isValidYouTubeId(id) ? id : null;
+/**
+ * Everything we reuse from a Digg post page:
+ *   { summary, image, imageType, siteName, publishedTime, duration }
+ * `summary` is unclipped; callers clip it to their ?tldr= length.
+ * Returns {} when the page couldn't be fetched.
+ */
+async function fetchDiggMeta(diggLink, postId, env, ctx, budget) {
+  // Durable store keyed by post id when TLDR_KV is bound (shared by every
+  // colo, survives eviction); otherwise cache per-post metadata at the edge
+  // so we don't hammer Digg
+  const kv = postId ? env?.TLDR_KV : null;
+  const kvKey = `meta:${postId}`;
+  const cache = caches.default;
+  const cacheKey = new Request(`${diggLink}#meta`, { method: "GET" });
+
+  let stored = null;
+  if (kv) {
+    stored = await kv.get(kvKey, "json").catch(() => null);
+  } else {
+    const cached = await cache.match(cacheKey);
+    if (cached) stored = await cached.json().catch(() => null);
+  }
+  if (stored) {
+    budget.stats.cached++;
+    return stored;
   }
 
-  if (host.endsWith("youtube.com")) {
-    const v = u.searchParams.get("v");
-    if (isValidYouTubeId(v)) return v;
+  const remainingMs = budget.deadline - Date.now();
+  if (remainingMs <= 0) {
+    budget.stats.skipped++;
+    return {};
+  }
 
-    const parts = (u.pathname || "").split("/").filter(Boolean);
-    if (parts.length >= 2) {
-      const kind = parts[0];
-      const id = parts[1];
-      if ((kind === "shorts" || kind === "embed" || kind === "live") && isValidYouTubeId(id)) {
-        return id;
-      }
-    }
+  const started = Date.now();
+  const meta = await scrapeDiggMeta(diggLink, Math.min(budget.timeoutMs, remainingMs));
+  if (!meta) {
+    budget.stats.failed++;
+    budget.log?.debug("tldr.failed", { url: diggLink, ms: Date.now() - started });
+    return {};
+  }
+  budget.stats.fetched++;
+
+  if (kv) {
+    const ttl = meta.summary ? POST_META_KV_TTL : POST_META_KV_EMPTY_TTL;
+    ctx.waitUntil(kv.put(kvKey, JSON.stringify(meta), { expirationTtl: ttl }).catch(() => {}));
+  } else {
+    const out = new Response(JSON.stringify(meta), {
+      headers: { "content-type": "application/json; charset=utf-8", "cache-control": "public, max-age=3600" }
+    });
+    ctx.waitUntil(cache.put(cacheKey, out.clone()));
   }
 
-  return null;
+  return meta;
 }
 
-function youtubeThumbUrl(videoId) {
-  return `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+// null when the page couldn't be fetched in `timeoutMs` (so callers don't
+// remember a transient failure). The timeout covers reading the <head> too.
+async function scrapeDiggMeta(diggLink, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let head;
+  try {
+    const resp = await fetch(diggLink, {
+      headers: {
+        accept: "text/html,*/*",
+        "user-agent": "3HPM-DiggRSS/1.0 (+https://3holepunchmedia.ca)"
+      },
+      signal: controller.signal
+    });
+    if (!resp.ok) return null;
+    head = await readHeadMeta(resp);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Entities are decoded here, once; everything downstream is plain text
+  const get = (key) => decodeHtmlEntities(head.get(key)).trim();
+  const article = head.article || {};
+
+  // Prefer og:description, then twitter:description, meta description, JSON-LD
+  const description =
+    get("og:description") ||
+    get("twitter:description") ||
+    get("description") ||
+    (typeof article.description === "string" ? decodeHtmlEntities(article.description).trim() : "");
+
+  const ldImage = [article.image].flat()[0];
+  let image =
+    get("og:image") || get("twitter:image") || (typeof ldImage === "string" ? ldImage : ldImage?.url || "");
+  try {
+    image = image ? new URL(image, diggLink).href : "";
+  } catch {
+    image = "";
+  }
+  if (image && !/^https?:/.test(image)) image = "";
+
+  const publishedTime = get("article:published_time") || String(article.datePublished || "");
+  const duration = Number(get("og:video:duration") || get("video:duration") || get("music:duration"));
+
+  return {
+    summary: description,
+    image,
+    imageType: image ? guessImageType(image, get("og:image:type")) : "",
+    siteName: get("og:site_name"),
+    publishedTime: Number.isFinite(Date.parse(publishedTime)) ? publishedTime : "",
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null
+  };
 }
 
 // =========================
-// TL;DR fetch from Digg post HTML
+// Full article content (?full=1)
 // =========================
 
-async function fetchDiggTldr(diggLink, tldrMax, ctx) {
-  // Cache per-post TL;DR so we don't hammer Digg
+// Extracted articles are cached per URL for a day
+const FULL_CACHE_TTL = 24 * 60 * 60;
+
+// Per-request budget: at most `fetches` uncached article downloads, all
+// finished before `deadline`. Items past the budget keep just their TL;DR.
+function createFullBudget(env) {
+  return {
+    fetches: clampInt(env.FULL_MAX_FETCHES, 10, 0, 50),
+    deadline: Date.now() + clampInt(env.FULL_BUDGET_MS, 8000, 1000, 25000)
+  };
+}
+
+async function fetchFullContent(articleUrl, budget, ctx) {
+  if (!articleUrl) return "";
+
   const cache = caches.default;
-  const cacheKey = new Request(`${diggLink}#tldr=${tldrMax}`, { method: "GET" });
+  const cacheKey = new Request(`${articleUrl}#full`, { method: "GET" });
 
   const cached = await cache.match(cacheKey);
-  if (cached) {
-    const txt = await cached.text().catch(() => "");
-    return txt || "";
-  }
+  if (cached) return (await cached.text().catch(() => "")) || "";
+
+  const remainingMs = budget.deadline - Date.now();
+  if (budget.fetches <= 0 || remainingMs <= 0) return "";
+  budget.fetches--;
 
   let html = "";
   try {
-    const resp = await fetch(diggLink, {
+    const resp = await fetch(articleUrl, {
       headers: {
         accept: "text/html,*/*",
         "user-agent": "3HPM-DiggRSS/1.0 (+https://3holepunchmedia.ca)"
-      }
+      },
+      signal: AbortSignal.timeout(remainingMs)
     });
     if (!resp.ok) return "";
+    if (!(resp.headers.get("content-type") || "").includes("html")) return "";
     html = await resp.text();
   } catch {
     return "";
   }
 
-  // Prefer og:description, then meta description
-  const og = extractMetaContent(html, "og:description", true);
-  const meta = extractMetaContent(html, "description", false);
+  const content = extractArticleHtml(html, articleUrl);
 
-  // Decode entities BEFORE clipping/snippet
-  const raw = decodeHtmlEntities((og || meta || "").trim());
-  const clipped = raw ? makeSnippet(raw, tldrMax) : "";
-
-  // Store plain text in cache
-  const out = new Response(clipped, {
-    headers: { "content-type": "text/plain; charset=utf-8", "cache-control": "public, max-age=3600" }
+  const out = new Response(content, {
+    headers: { "content-type": "text/html; charset=utf-8", "cache-control": `public, max-age=${FULL_CACHE_TTL}` }
   });
   ctx.waitUntil(cache.put(cacheKey, out.clone()));
 
-  return clipped;
+  return content;
 }
 
 // =========================
-// RSS Builder
+// Digg GraphQL
 // =========================
 
-function buildRss({ title, link, description, items, selfUrl }) {
-  const now = new Date().toUTCString();
+const GRAPHQL_ENDPOINT = "https://apineapple-prod.digg.com/graphql";
 
-  // Atom rel="self" (best practice for RSS 2.0 portability)
-  // Canonicalize: strip query string so ?limit=25 doesn't create "phantom feeds"
-  const feedUrl = new URL(selfUrl);
-  feedUrl.search = "";
+const POSTS_QUERY = `
+query PostsQuery($first: Int, $after: String, $where: PostWhere, $sort: PostSort) {
+  posts(first: $first, after: $after, where: $where, sort: $sort) {
+    edges {
+      node {
+        _id
+        title
+        slug
+        createdDate
+        externalContent { url }
+        community { name slug }
+      }
+    }
+    pageInfo { hasNextPage endCursor }
+  }
+}`.trim();
 
-  const atomSelfLink = `
-  <atom:link href="${escapeXml(feedUrl.toString())}" rel="self" type="application/rss+xml" />`;
+// Same query plus the author; older schemas reject account { username }
+const POSTS_QUERY_WITH_ACCOUNT = POSTS_QUERY.replace(
+  "community { name slug }",
+  "community { name slug }\n        account { username }"
+);
+
+// Upstream page size; larger limits are stitched together from several pages
+const PAGE_SIZE = 50;
+
+// One client (and so one circuit breaker) per isolate. Its retries and
+// breaker trips aren't tied to one request, so they log without a request id,
+// through a logger each invocation resets for its env (LOG_LEVEL).
+let graphqlLog = createLogger();
+const graphql = createGraphqlClient({
+  endpoint: GRAPHQL_ENDPOINT,
+  headers: { "user-agent": "3HPM-DiggRSS/1.0 (+https://3holepunchmedia.ca)" },
+  onEvent: (event, fields) => graphqlLog.warn(event, fields)
+});
+
+// Returns { data } on success or { error } with whatever upstream told us
+async function fetchGraphql(operationName, query, variables) {
+  return graphql.request(operationName, query, variables);
+}
 
-  const itemXml = (items || [])
-    .map((it) => {
-      const enclosureXml = it.enclosure
-        ? `\n    <enclosure url="${escapeXml(it.enclosure.url)}" type="${escapeXml(
-            it.enclosure.type
-          )}" length="0" />`
-        : "";
+// Returns { edges, pageInfo } on success or { error, status? }; `status` is
+// set when upstream answered (and so rejected the query itself)
+async function fetchPosts(query, variables) {
+  const result = await fetchGraphql("PostsQuery", query, variables);
+  if (result.error) return result;
 
-      return `
-  <item>
-    <title><![CDATA[${cdataSafe(it.title)}]]></title>
-    <link>${escapeXml(it.link)}</link>
-    <guid isPermaLink="true">${escapeXml(it.guid)}</guid>
-    <pubDate>${new Date(it.pubDate).toUTCString()}</pubDate>
-    <description><![CDATA[${cdataSafe(it.description)}]]></description>${enclosureXml}
-  </item>`.trim();
-    })
-    .join("\n");
+  const posts = result.data.posts;
+  if (!posts?.edges) return { error: result.data, status: 200 };
+  return { edges: posts.edges, pageInfo: posts.pageInfo || null };
+}
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
-<channel>
-  <title><![CDATA[${cdataSafe(title)}]]></title>
-  <link>${escapeXml(link)}</link>${atomSelfLink}
-  <description><![CDATA[${cdataSafe(description)}]]></description>
-  <ttl>10</ttl>
-  <lastBuildDate>${now}</lastBuildDate>
-${itemXml}
-</channel>
-</rss>`;
+// Follow endCursor until we have `limit` edges, upstream runs dry or the
+// request's pagination deadline passes. The first page always goes out; a
+// failure on a later page keeps what we already have.
+async function fetchPostsPaged(query, { sort, where }, limit, deadline) {
+  const edges = [];
+  let after = null;
+
+  while (edges.length < limit) {
+    const first = Math.min(PAGE_SIZE, limit - edges.length);
+    const result = await fetchPosts(query, { first, after, sort, where });
+
+    if (result.error) return edges.length ? { edges } : result;
+
+    edges.push(...result.edges);
+
+    const next = result.pageInfo;
+    if (!next?.hasNextPage || !next.endCursor || !result.edges.length) break;
+    if (Date.now() >= deadline) break;
+    after = next.endCursor;
+  }
+
+  return { edges };
 }
 
-// =========================
-// Worker
-// =========================
+// Community filter shapes older and newer schemas accept, in the order we try them
+const WHERE_VARIANTS = {
+  communitySlug: (since, slug) => ({ createdDate_GT: since, communitySlug: slug }),
+  communitySlug_EQ: (since, slug) => ({ createdDate_GT: since, communitySlug_EQ: slug }),
+  "community.slug": (since, slug) => ({ createdDate_GT: since, community: { slug } }),
+  "community.slug_EQ": (since, slug) => ({ createdDate_GT: since, community: { slug_EQ: slug } })
+};
 
-export default {
-  async fetch(request, env, ctx) {
-    try {
-      const url = new URL(request.url);
-      let pathname = url.pathname;
+// What the schema accepts, learned from the calls that worked:
+//   whereVariant  community filter shape (a WHERE_VARIANTS key), null until learned
+//   withAccount   whether posts may select account { username }
+// Remembered together in FEED_KV (or, without it, by the isolate) so later
+// builds make one call per window. Isolates re-read KV every few minutes to
+// pick up another isolate's reset; the TTL makes a dropped author field get
+// tried again now and then.
+const QUERY_SHAPE_KEY = "gql:query-shape";
+const QUERY_SHAPE_TTL = 24 * 60 * 60;
+const QUERY_SHAPE_MEMO_MS = 5 * 60 * 1000;
+const DEFAULT_QUERY_SHAPE = { whereVariant: null, withAccount: true };
+let queryShapeMemo = null;
+
+async function loadQueryShape(env) {
+  if (queryShapeMemo && queryShapeMemo.expires > Date.now()) return queryShapeMemo.shape;
+  queryShapeMemo = null;
+  if (!env.FEED_KV) return DEFAULT_QUERY_SHAPE;
+
+  const stored = await env.FEED_KV.get(QUERY_SHAPE_KEY, "json").catch(() => null);
+  const shape = {
+    whereVariant: WHERE_VARIANTS[stored?.whereVariant] ? stored.whereVariant : null,
+    withAccount: stored?.withAccount !== false
+  };
+  queryShapeMemo = { shape, expires: Date.now() + QUERY_SHAPE_MEMO_MS };
+  return shape;
+}
 
-      if (pathname.startsWith("/rss/digg/")) {
-        pathname = pathname.replace("/rss/digg/", "/rss/");
-      }
+async function saveQueryShape(shape, env) {
+  const ttlMs = env.FEED_KV ? QUERY_SHAPE_MEMO_MS : QUERY_SHAPE_TTL * 1000;
+  queryShapeMemo = { shape, expires: Date.now() + ttlMs };
+  if (!env.FEED_KV) return;
+
+  await env.FEED_KV.put(QUERY_SHAPE_KEY, JSON.stringify(shape), { expirationTtl: QUERY_SHAPE_TTL }).catch(() => {});
+}
+
+// Does an upstream rejection point at the sort argument (a PostSort value
+// the schema doesn't have)?
+function rejectsSort(error) {
+  const messages = [].concat(error ?? []).map((e) => String(e?.message || ""));
+  return messages.some((m) => /\$sort\b|PostSort/.test(m));
+}
+
+// Does an upstream rejection point at the where argument (and so at the
+// filter shape)? Anything else, like an unknown sort, says nothing about it.
+function rejectsWhere(error) {
+  const messages = [].concat(error ?? []).map((e) => String(e?.message || ""));
+  return messages.some((m) => /\$where\b|PostWhere|"where"/.test(m));
+}
 
-      const isAll = pathname === "/rss/all-digg-trending.xml";
-      const m = pathname.match(/^\/rss\/([a-z0-9-]+)\.xml$/i);
-      const communitySlug = !isAll && m ? m[1].toLowerCase() : null;
+// One window of a community feed: the learned where-shape, or each shape in
+// turn until the schema accepts one. gqlState.whereVariant tracks what we
+// learned; shapeChanged tells the caller to persist it.
+async function fetchCommunityWindow(communitySlug, since, runPosts, gqlState) {
+  if (gqlState.whereVariant) {
+    const result = await runPosts(WHERE_VARIANTS[gqlState.whereVariant](since, communitySlug));
+    // Only upstream rejecting the where argument means the schema changed;
+    // timeouts, an open breaker and other rejections say nothing about the shape
+    if (!result.error || result.status == null || !rejectsWhere(result.error)) return result;
+    gqlState.log?.info("graphql.where_variant_reset", { variant: gqlState.whereVariant, error: result.error });
+    gqlState.whereVariant = null;
+    gqlState.shapeChanged = true;
+  }
 
-      if (!isAll && !communitySlug) {
-        return new Response("Not found", { status: 404 });
+  let last = null;
+  for (const [name, where] of Object.entries(WHERE_VARIANTS)) {
+    const result = await runPosts(where(since, communitySlug));
+    if (!result.error) {
+      if (gqlState.whereVariant !== name) {
+        gqlState.log?.info("graphql.where_variant_learned", { variant: name });
+        gqlState.whereVariant = name;
+        gqlState.shapeChanged = true;
       }
+      return result;
+    }
+    last = result;
+    // Another shape won't help when upstream didn't answer or objected to something else
+    if (result.status == null || !rejectsWhere(result.error)) break;
+  }
+  return last;
+}
+
+// Walk the time windows until we have a reasonably full page.
+// communitySlug = null means the all-digg trending feed.
+async function fetchFeedEdges({ communitySlug, limit, sort, windowsMs, gqlState }) {
+  let edges = null;
+  let lastErr = null;
+
+  const runPosts = async (where) => {
+    const variables = { sort: SORTS[sort].gql, where };
+    const run = (query) => fetchPostsPaged(query, variables, limit, gqlState.deadline);
+
+    const result = await run(gqlState.withAccount ? POSTS_QUERY_WITH_ACCOUNT : POSTS_QUERY);
+    if (!result.error || !gqlState.withAccount || result.status == null) return result;
+
+    // Upstream rejected the query: retry without account { username } so
+    // feeds never go down. Only stick with the plain query if that actually
+    // fixed it (the error may just as well have come from this where-variant).
+    const plain = await run(POSTS_QUERY);
+    if (!plain.error) {
+      gqlState.log?.info("graphql.account_dropped", { error: result.error });
+      gqlState.withAccount = false;
+      gqlState.shapeChanged = true;
+    }
+    return plain;
+  };
+
+  for (const [step, windowMs] of windowsMs.entries()) {
+    const since = new Date(Date.now() - windowMs).toISOString();
+    const started = Date.now();
+
+    const result = communitySlug
+      ? await fetchCommunityWindow(communitySlug, since, runPosts, gqlState)
+      : await runPosts({ createdDate_GT: since });
+
+    // How far each community's ladder escalated, for the build summary
+    const window = {
+      community: communitySlug || "all-digg-trending",
+      step,
+      windowMs,
+      variant: communitySlug ? gqlState.whereVariant : null,
+      edges: result.edges?.length ?? null,
+      ms: Date.now() - started
+    };
+    gqlState.windows.push(window);
+    gqlState.log?.debug("graphql.window", result.error ? { ...window, error: result.error } : window);
+
+    if (result.error) {
+      lastErr = result.error;
+      // A query upstream rejected fails the same way for a wider window
+      if (result.status != null) break;
+      continue;
+    }
 
-      const limit = clampInt(url.searchParams.get("limit"), 10, 1, 50);
+    if (!edges || result.edges.length > edges.length) edges = result.edges;
+    if (edges.length >= Math.min(limit, 5)) break;
+  }
 
-      // TL;DR length: default 220, allow override
-      const tldrMax = clampInt(url.searchParams.get("tldr"), 220, 80, 500);
+  return edges ? { edges } : { error: lastErr || {} };
+}
 
-      const gqlQuery = `
-query PostsQuery($first: Int, $after: String, $where: PostWhere, $sort: PostSort) {
-  posts(first: $first, after: $after, where: $where, sort: $sort) {
+// Combine per-community results and drop duplicate posts by _id.
+// Newest feeds merge by date; ranked sorts interleave each community's
+// results by upstream rank so no single community crowds out the rest.
+function mergeEdges(edgeLists, limit, sort) {
+  const seen = new Set();
+  const merged = [];
+
+  const longest = Math.max(0, ...edgeLists.map((edges) => edges.length));
+  for (let rank = 0; rank < longest; rank++) {
+    for (const edges of edgeLists) {
+      const edge = edges[rank];
+      const id = String(edge?.node?._id || "");
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      merged.push(edge);
+    }
+  }
+
+  if (sort === "newest") {
+    merged.sort((a, b) => Date.parse(b.node.createdDate || 0) - Date.parse(a.node.createdDate || 0));
+  }
+  return merged.slice(0, limit);
+}
+
+// =========================
+// Communities
+// =========================
+
+const COMMUNITIES_QUERY = `
+query CommunitiesQuery($first: Int, $after: String) {
+  communities(first: $first, after: $after) {
     edges {
       node {
-        _id
-        title
+        name
         slug
-        createdDate
-        externalContent { url }
-        community { name slug }
+        description
       }
     }
+    pageInfo { hasNextPage endCursor }
   }
 }`.trim();
 
-      // Cache RSS by URL
-      const cache = caches.default;
-      const cacheKey = new Request(url.toString(), { method: "GET" });
-      const cached = await cache.match(cacheKey);
-      if (cached) return cached;
-
-      const endpoint = "https://apineapple-prod.digg.com/graphql";
-
-      const windowsMs = isAll
-        ? [24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000]
-        : [24 * 60 * 60 * 1000, 72 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000];
-
-      let edges = null;
-      let lastErr = null;
-
-      for (const windowMs of windowsMs) {
-        const since = new Date(Date.now() - windowMs).toISOString();
-
-        const whereVariants = isAll
-          ? [{ createdDate_GT: since }]
-          : [
-              { createdDate_GT: since, communitySlug },
-              { createdDate_GT: since, communitySlug_EQ: communitySlug },
-              { createdDate_GT: since, community: { slug: communitySlug } },
-              { createdDate_GT: since, community: { slug_EQ: communitySlug } }
-            ];
-
-        for (const where of whereVariants) {
-          const payload = {
-            operationName: "PostsQuery",
-            query: gqlQuery,
-            variables: { first: limit, after: null, sort: "TOP_N", where }
-          };
-
-          const resp = await fetch(endpoint, {
-            method: "POST",
-            headers: {
-              "content-type": "application/json",
-              accept: "application/json",
-              "user-agent": "3HPM-DiggRSS/1.0 (+https://3holepunchmedia.ca)"
-            },
-            body: JSON.stringify(payload)
-          });
-
-          const json = await resp.json().catch(() => ({}));
-
-          if (resp.ok && json?.data?.posts?.edges && !json?.errors) {
-            const candidate = json.data.posts.edges;
-
-            if (candidate.length >= Math.min(limit, 5)) {
-              edges = candidate;
-              break;
-            }
-
-            if (!edges || candidate.length > edges.length) {
-              edges = candidate;
-            }
-          } else {
-            lastErr = json?.errors || json || { status: resp.status };
-          }
-        }
-
-        if (edges && edges.length >= Math.min(limit, 5)) break;
-      }
+// The list changes rarely; every feed request checks slugs against it
+const COMMUNITIES_CACHE_TTL = 6 * 60 * 60;
+// A failed lookup is remembered briefly so feeds don't pay for it on every request
+const UPSTREAM_LIST_ERROR_TTL = 10 * 60;
+// The edge cache ignores #fragments, so each cached list gets its own query string
+const COMMUNITIES_CACHE_KEY = `${GRAPHQL_ENDPOINT}?list=communities`;
+const MAX_COMMUNITY_PAGES = 20;
+
+// Returns { communities: [{ name, slug, description }] } sorted by slug, or
+// { error }. Only the whole list counts: slugs missing from a partial one
+// would be rejected as unknown.
+async function fetchCommunities() {
+  const communities = [];
+  let after = null;
+  let complete = false;
+
+  for (let page = 0; page < MAX_COMMUNITY_PAGES; page++) {
+    const result = await fetchGraphql("CommunitiesQuery", COMMUNITIES_QUERY, { first: PAGE_SIZE, after });
+    const conn = result.data?.communities;
+    if (result.error || !conn?.edges) return { error: result.error || result.data };
+
+    for (const { node } of conn.edges) {
+      const slug = String(node?.slug || "").toLowerCase();
+      if (!/^[a-z0-9-]+$/.test(slug)) continue;
+      communities.push({
+        name: decodeHtmlEntities(node.name || slug),
+        slug,
+        description: decodeHtmlEntities(node.description || "")
+      });
+    }
 
-      if (!edges) {
-        return new Response("Upstream error: " + JSON.stringify(lastErr || {}), {
-          status: 502,
-          headers: { "content-type": "text/plain; charset=utf-8" }
-        });
-      }
+    const next = conn.pageInfo;
+    if (!next?.hasNextPage || !next.endCursor || !conn.edges.length) {
+      complete = true;
+      break;
+    }
+    after = next.endCursor;
+  }
 
-      // Build items with TL;DR from Digg HTML
-      const items = await Promise.all(
-        edges.map(async ({ node }) => {
-          const comm = node.community?.slug || "digg";
-          const rawId = String(node._id || "");
-          const shortId = rawId.startsWith(comm + "-") ? rawId.slice((comm + "-").length) : rawId;
-
-          const diggLink = `https://digg.com/${comm}/${shortId}/${node.slug}`;
-          const externalUrl = node.externalContent?.url || "";
-
-          // External-first behavior:
-          const link = externalUrl || diggLink;
-
-          // TL;DR: pull from Digg post page; fallback to title snippet
-          const tldr = await fetchDiggTldr(diggLink, tldrMax, ctx);
-          const baseText = decodeHtmlEntities(tldr || node.title || "");
-          const baseSnippet = makeSnippet(baseText, tldrMax);
-
-          // Description:
-          // - Keep as HTML string (it will be wrapped in CDATA later)
-          // - DO NOT escapeXml here (that causes the visible &#x27; / &quot; symptoms)
-          const description = externalUrl
-            ? `${baseSnippet}<br/><br/><a href="${diggLink}">Discuss on Digg</a>`
-            : baseSnippet;
-
-          // YouTube enclosure from external first (fallback to diggLink)
-          const ytId = getYouTubeVideoId(externalUrl || diggLink);
-          const enclosure = ytId ? { url: youtubeThumbUrl(ytId), type: "image/jpeg" } : null;
-
-          return {
-            title: decodeHtmlEntities(node.title || "(untitled)"),
-            link,
-            guid: diggLink,
-            pubDate: node.createdDate,
-            description,
-            enclosure
-          };
-        })
-      );
+  if (!complete) return { error: { message: `community list longer than ${MAX_COMMUNITY_PAGES} pages` } };
 
-      const feedTitle = isAll ? "Digg — All Digg" : `Digg — ${communitySlug} (Newest)`;
-      const feedLink = isAll ? "https://digg.com/?feed=all-digg" : `https://digg.com/${communitySlug}`;
+  const unique = new Map(communities.map((c) => [c.slug, c]));
+  return { communities: [...unique.values()].sort((a, b) => a.slug.localeCompare(b.slug)) };
+}
 
-      const rss = buildRss({
-        title: feedTitle,
-        link: feedLink,
-        description: feedTitle,
-        items,
-        selfUrl: request.url
-      });
+// Edge-cached list from upstream: { list } or { error }. `fetchList`
+// resolves to { list } or { error }; an empty list counts as a failure and is
+// cached briefly as one. `refresh` skips the cached copy, and keeps it when
+// the new fetch fails.
+async function loadCachedList(cacheKey, ttl, fetchList, ctx, { refresh = false } = {}) {
+  const cache = caches.default;
+  const key = new Request(cacheKey, { method: "GET" });
 
-      const out = new Response(rss, {
-        headers: {
-          "content-type": "application/rss+xml; charset=utf-8",
-          "cache-control": "public, max-age=600"
-        }
-      });
+  const cached = refresh ? null : await cache.match(key);
+  if (cached) {
+    const stored = await cached.json().catch(() => null);
+    if (Array.isArray(stored)) {
+      return stored.length ? { list: stored } : { error: { message: "upstream list unavailable" } };
+    }
+  }
 
-      ctx.waitUntil(cache.put(cacheKey, out.clone()));
-      return out;
-    } catch (err) {
-      return new Response("Worker error: " + (err?.stack || err?.message || String(err)), {
-        status: 500,
-        headers: { "content-type": "text/plain; charset=utf-8" }
-      });
+  const result = await fetchList();
+  const ok = !result.error && result.list.length > 0;
+
+  // An outage isn't an answer about the schema; ask again once it's over
+  if (!ok && (refresh || graphql.breaker.isOpen())) return { error: result.error };
+
+  const out = new Response(JSON.stringify(ok ? result.list : []), {
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": `public, max-age=${ok ? ttl : UPSTREAM_LIST_ERROR_TTL}`
+    }
+  });
+  ctx.waitUntil(cache.put(key, out));
+
+  return ok ? result : { error: result.error || { message: "empty list" } };
+}
+
+// Edge-cached community list: { communities } or { error }
+async function loadCommunities(ctx, options) {
+  const fetchList = async () => {
+    const result = await fetchCommunities();
+    return result.error ? result : { list: result.communities };
+  };
+  const { list, error } = await loadCachedList(COMMUNITIES_CACHE_KEY, COMMUNITIES_CACHE_TTL, fetchList, ctx, options);
+  return list ? { communities: list } : { error };
+}
+
+// A slug missing from the cached list may be a community created since; the
+// list is fetched again before saying so, at most this often per isolate
+const COMMUNITIES_RECHECK_MS = 60 * 1000;
+let communitiesRecheckedAt = 0;
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Up to three known slugs that look like `slug`: typos first, then prefix/substring matches
+function suggestCommunities(slug, communities) {
+  const maxDistance = Math.max(2, Math.floor(slug.length / 3));
+  return communities
+    .map((c) => {
+      const d = editDistance(slug, c.slug);
+      const partial = c.slug.includes(slug) || slug.includes(c.slug);
+      return { slug: c.slug, score: d <= maxDistance ? d : partial ? maxDistance + 1 : Infinity };
+    })
+    .filter((c) => c.score !== Infinity)
+    .sort((a, b) => a.score - b.score || a.slug.localeCompare(b.slug))
+    .slice(0, 3)
+    .map((c) => c.slug);
+}
+
+// 404 naming the first unknown slug of a feed, or null. When the list can't
+// be loaded the feed is served unchecked rather than failing.
+async function unknownCommunityResponse(feed, ctx) {
+  if (feed.isAll) return null;
+  let { communities } = await loadCommunities(ctx);
+  if (!communities) return null;
+
+  const firstUnknown = () => {
+    const known = new Set(communities.map((c) => c.slug));
+    return feed.communitySlugs.find((slug) => !known.has(slug));
+  };
+
+  let unknown = firstUnknown();
+  if (unknown && Date.now() - communitiesRecheckedAt >= COMMUNITIES_RECHECK_MS) {
+    communitiesRecheckedAt = Date.now();
+    const fresh = await loadCommunities(ctx, { refresh: true });
+    if (fresh.communities) {
+      communities = fresh.communities;
+      unknown = firstUnknown();
     }
   }
+  if (!unknown) return null;
+
+  const suggestions = suggestCommunities(unknown, communities);
+  const hint = suggestions.length ? ` Did you mean: ${suggestions.join(", ")}?` : "";
+  const message = `Unknown community "${unknown}".${hint} See /communities.json for the full list.`;
+  return httpError(404, "unknown_community", message);
+}
+
+// =========================
+// Sorts
+// =========================
+
+const POST_SORT_QUERY = `
+query PostSortQuery {
+  __type(name: "PostSort") { enumValues { name } }
+}`.trim();
+
+const POST_SORT_CACHE_KEY = `${GRAPHQL_ENDPOINT}?list=post-sort`;
+const POST_SORT_CACHE_TTL = 6 * 60 * 60;
+
+// Sorts a feed build saw upstream reject, one edge-cached marker each
+function rejectedSortKey(sort) {
+  return new Request(`${GRAPHQL_ENDPOINT}?rejected-sort=${SORTS[sort].gql}`, { method: "GET" });
+}
+
+function rememberRejectedSort(sort, ctx) {
+  const marker = new Response("rejected", { headers: { "cache-control": `public, max-age=${POST_SORT_CACHE_TTL}` } });
+  ctx.waitUntil(caches.default.put(rejectedSortKey(sort), marker));
+}
+
+async function sortRejected(sort) {
+  return !!(await caches.default.match(rejectedSortKey(sort)));
+}
+
+async function fetchPostSortValues() {
+  const result = await fetchGraphql("PostSortQuery", POST_SORT_QUERY, {});
+  const values = result.data?.__type?.enumValues;
+  if (result.error || !Array.isArray(values)) return { error: result.error || result.data };
+  return { list: values.map((v) => String(v?.name || "")).filter(Boolean) };
+}
+
+// ?sort= names to offer, default first. Introspection is only an early
+// check: when the PostSort enum can be read, sorts it lacks are left out;
+// when it can't (introspection is often off), the whole allowlist is tried.
+// Sorts a build saw upstream reject are left out either way.
+async function supportedSorts(ctx) {
+  const { list } = await loadCachedList(POST_SORT_CACHE_KEY, POST_SORT_CACHE_TTL, fetchPostSortValues, ctx);
+  const others = Object.keys(SORTS).filter(
+    (name) => name !== DEFAULT_SORT && (!list || list.includes(SORTS[name].gql))
+  );
+  const rejected = await Promise.all(others.map(sortRejected));
+  return [DEFAULT_SORT, ...others.filter((_, i) => !rejected[i])];
+}
+
+function sortUnavailableResponse(sort, sorts) {
+  return badRequest(`Sort "${sort}" is not available from Digg right now. Use one of: ${sorts.join(", ")}`);
+}
+
+// 400 for a ?sort= known not to work, or null. The default sort never costs
+// a lookup.
+async function unsupportedSortResponse(feed, ctx) {
+  if (feed.sort === DEFAULT_SORT) return null;
+  const sorts = await supportedSorts(ctx);
+  return sorts.includes(feed.sort) ? null : sortUnavailableResponse(feed.sort, sorts);
+}
+
+// A feed that can't be built as asked: unknown community (404) or
+// unsupported sort (400). null when it's fine.
+async function unservableFeedResponse(feed, ctx) {
+  return (await unknownCommunityResponse(feed, ctx)) || (await unsupportedSortResponse(feed, ctx));
+}
+
+// Subscribe URLs for a community slug, one per format
+function communityFeedUrls(origin, slug) {
+  return Object.fromEntries(
+    Object.entries(FORMATS).map(([name, format]) => [name, `${origin}/${name}/${slug}.${format.ext}`])
+  );
+}
+
+// GET /communities.json, /communities.opml
+async function communitiesResponse(url, ctx) {
+  const result = await loadCommunities(ctx);
+  if (result.error) return upstreamErrorResponse(result.error);
+
+  const headers = { "cache-control": "public, max-age=3600" };
+
+  if (url.pathname.endsWith(".json")) {
+    const communities = result.communities.map((c) => ({ ...c, feeds: communityFeedUrls(url.origin, c.slug) }));
+    return Response.json({ communities }, { headers });
+  }
+
+  const outlines = result.communities.map((c) => ({
+    text: c.name,
+    description: c.description,
+    xmlUrl: communityFeedUrls(url.origin, c.slug).rss,
+    htmlUrl: `https://digg.com/${c.slug}`
+  }));
+  return new Response(buildOpml({ title: "Digg communities", outlines }), {
+    headers: { ...headers, "content-type": "text/x-opml; charset=utf-8" }
+  });
+}
+
+// Feed parameters /opml copies onto every outline
+const OPML_FEED_PARAMS = [
+  "limit",
+  "tldr",
+  "sort",
+  "window",
+  "strict",
+  "full",
+  "include",
+  "exclude",
+  "domain",
+  "excludeDomain"
+];
+
+// GET /opml?format=atom&limit=20&tldr=300 — every community feed plus the
+// all-digg trending feed with the same options, for one-step import.
+// ?communities=a,b narrows the bundle to those communities.
+async function opmlBundleResponse(url, env, ctx) {
+  const formatName = (url.searchParams.get("format") || "rss").toLowerCase();
+  const format = FORMATS[formatName];
+  if (!format) {
+    return badRequest(`Unknown format "${formatName}". Use one of: ${Object.keys(FORMATS).join(", ")}`);
+  }
+
+  const query = new URLSearchParams();
+  for (const name of OPML_FEED_PARAMS) {
+    for (const value of url.searchParams.getAll(name)) query.append(name, value);
+  }
+  const qs = query.toString();
+  const feedUrl = (slug) => `${url.origin}/${formatName}/${slug}.${format.ext}${qs ? `?${qs}` : ""}`;
+
+  // Reject bad options once, with the parser every outline will go through
+  const check = parseFeedRequest(new URL(feedUrl("all-digg-trending")), env);
+  if (check.response) return check.response;
+  const unsupported = await unsupportedSortResponse(check.feed, ctx);
+  if (unsupported) return unsupported;
+
+  const result = await loadCommunities(ctx);
+  if (result.error) return upstreamErrorResponse(result.error);
+
+  let communities = result.communities;
+  const only = url.searchParams.get("communities");
+  if (only) {
+    const slugs = parseCommunitySlugs(only);
+    const unknown = await unknownCommunityResponse({ isAll: false, communitySlugs: slugs }, ctx);
+    if (unknown) return unknown;
+    communities = communities.filter((c) => slugs.includes(c.slug));
+  }
+
+  const outlines = [
+    { text: "All Digg (trending)", xmlUrl: feedUrl("all-digg-trending"), htmlUrl: "https://digg.com/" },
+    ...communities.map((c) => ({
+      text: c.name,
+      description: c.description,
+      xmlUrl: feedUrl(c.slug),
+      htmlUrl: `https://digg.com/${c.slug}`
+    }))
+  ];
+
+  return new Response(buildOpml({ title: "Digg feeds", outlines }), {
+    headers: {
+      "content-type": "text/x-opml; charset=utf-8",
+      "content-disposition": 'attachment; filename="digg-feeds.opml"',
+      "cache-control": "public, max-age=3600"
+    }
+  });
+}
+
+// What upstream said goes to the logs only
+function upstreamErrorResponse(err) {
+  // Breaker open: we didn't even ask, tell clients when it's worth retrying
+  if (graphql.breaker.isOpen()) {
+    const retryIn = Math.max(1, Math.ceil(graphql.breaker.retryInMs() / 1000));
+    return httpError(503, "upstream_unavailable", "Digg is unavailable right now, retry later", {
+      detail: err,
+      headers: { "retry-after": String(retryIn) }
+    });
+  }
+
+  return httpError(502, "upstream_error", "Digg could not be reached", { detail: err });
+}
+
+// =========================
+// RSS Builder
+// =========================
+
+// Media RSS for an item (embeddable media + hero image), shared by the RSS
+// and Atom builders
+function mediaXml(it) {
+  let xml = "";
+
+  const m = it.media;
+  if (m) {
+    const attrs = [
+      m.url ? `url="${escapeXml(m.url)}"` : "",
+      m.type ? `type="${escapeXml(m.type)}"` : "",
+      `medium="${escapeXml(m.medium)}"`,
+      m.duration ? `duration="${m.duration}"` : ""
+    ].filter(Boolean);
+
+    const thumb = it.image?.url || m.thumbnail;
+    const children = [
+      m.embedUrl ? `<media:player url="${escapeXml(m.embedUrl)}" />` : "",
+      thumb ? `<media:thumbnail url="${escapeXml(thumb)}" />` : ""
+    ].filter(Boolean);
+
+    xml += children.length
+      ? `\n    <media:content ${attrs.join(" ")}>${children.map((c) => `\n      ${c}`).join("")}\n    </media:content>`
+      : `\n    <media:content ${attrs.join(" ")} />`;
+  }
+
+  if (it.image) {
+    const url = escapeXml(it.image.url);
+    const type = it.image.type ? ` type="${escapeXml(it.image.type)}"` : "";
+    xml += `
+    <media:content url="${url}" medium="image"${type} />
+    <media:thumbnail url="${url}" />`;
+  }
+
+  return xml;
+}
+
+function buildRss({ title, link, description, items, selfUrl }) {
+  const now = new Date().toUTCString();
+
+  // Atom rel="self" (best practice for RSS 2.0 portability). selfUrl is the
+  // feed's canonical URL, without ?limit and the like (no "phantom feeds").
+  const feedUrl = new URL(selfUrl);
+
+  const atomSelfLink = `
+  <atom:link href="${escapeXml(feedUrl.toString())}" rel="self" type="application/rss+xml" />`;
+
+  const itemXml = (items || [])
+    .map((it) => {
+      const contentXml = it.contentHtml
+        ? `\n    <content:encoded><![CDATA[${cdataSafe(it.contentHtml)}]]></content:encoded>`
+        : "";
+
+      const creatorXml = it.creator
+        ? `\n    <dc:creator><![CDATA[${cdataSafe(it.creator)}]]></dc:creator>`
+        : "";
+
+      const publisherXml = it.siteName
+        ? `\n    <dc:publisher><![CDATA[${cdataSafe(it.siteName)}]]></dc:publisher>`
+        : "";
+
+      const enclosureXml = it.enclosure
+        ? `\n    <enclosure url="${escapeXml(it.enclosure.url)}" type="${escapeXml(
+            it.enclosure.type
+          )}" length="0" />`
+        : "";
+
+      return `
+  <item>
+    <title><![CDATA[${cdataSafe(it.title)}]]></title>
+    <link>${escapeXml(it.link)}</link>
+    <guid isPermaLink="true">${escapeXml(it.guid)}</guid>
+    <pubDate>${new Date(it.pubDate).toUTCString()}</pubDate>
+    <description><![CDATA[${cdataSafe(it.description)}]]></description>${contentXml}${creatorXml}${publisherXml}${enclosureXml}${mediaXml(it)}
+  </item>`.trim();
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+  <title><![CDATA[${cdataSafe(title)}]]></title>
+  <link>${escapeXml(link)}</link>${atomSelfLink}
+  <description><![CDATA[${cdataSafe(description)}]]></description>
+  <ttl>10</ttl>
+  <lastBuildDate>${now}</lastBuildDate>
+${itemXml}
+</channel>
+</rss>`;
+}
+
+// =========================
+// Atom 1.0 Builder
+// =========================
+
+function buildAtom({ title, link, description, items, selfUrl }) {
+  const now = new Date().toISOString();
+
+  // Same canonical self URL as RSS
+  const feedUrl = new URL(selfUrl);
+
+  const entryXml = (items || [])
+    .map((it) => {
+      const updated = new Date(it.pubDate).toISOString();
+
+      const contentXml = it.contentHtml
+        ? `\n    <content type="html"><![CDATA[${cdataSafe(it.contentHtml)}]]></content>`
+        : "";
+
+      const authorXml = it.creator
+        ? `\n    <author><name><![CDATA[${cdataSafe(it.creator)}]]></name></author>`
+        : "";
+
+      const enclosureXml = it.enclosure
+        ? `\n    <link rel="enclosure" href="${escapeXml(it.enclosure.url)}" type="${escapeXml(
+            it.enclosure.type
+          )}" length="0" />`
+        : "";
+
+      return `
+  <entry>
+    <title><![CDATA[${cdataSafe(it.title)}]]></title>
+    <link rel="alternate" type="text/html" href="${escapeXml(it.link)}" />
+    <id>${escapeXml(it.guid)}</id>
+    <published>${updated}</published>
+    <updated>${updated}</updated>
+    <summary type="html"><![CDATA[${cdataSafe(it.description)}]]></summary>${contentXml}${authorXml}${enclosureXml}${mediaXml(it)}
+  </entry>`.trim();
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title><![CDATA[${cdataSafe(title)}]]></title>
+  <subtitle><![CDATA[${cdataSafe(description)}]]></subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(link)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl.toString())}" />
+  <id>${escapeXml(feedUrl.toString())}</id>
+  <author><name>Digg</name></author>
+  <updated>${now}</updated>
+${entryXml}
+</feed>`;
+}
+
+// =========================
+// JSON Feed 1.1 Builder
+// =========================
+
+function buildJsonFeed({ title, link, description, items, selfUrl }) {
+  const feedUrl = new URL(selfUrl);
+
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: link,
+    feed_url: feedUrl.toString(),
+    description,
+    items: (items || []).map((it) => {
+      const item = {
+        id: it.guid,
+        url: it.link,
+        title: it.title,
+        content_html: it.contentHtml || it.description,
+        date_published: new Date(it.pubDate).toISOString()
+      };
+      if (it.contentHtml && it.summary) item.summary = it.summary;
+      if (it.creator) item.authors = [{ name: it.creator }];
+      if (it.image) item.image = it.image.url;
+      if (it.media?.url) {
+        const attachment = { url: it.media.url, mime_type: it.media.type };
+        if (it.media.duration) attachment.duration_in_seconds = it.media.duration;
+        item.attachments = [attachment];
+      }
+      return item;
+    })
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+// =========================
+// OPML 2.0 Builder
+// =========================
+
+// outlines: [{ text, xmlUrl, htmlUrl?, description?, type? }]
+function buildOpml({ title, outlines }) {
+  const outlineXml = outlines
+    .map((o) => {
+      const attrs = [
+        `type="${escapeXml(o.type || "rss")}"`,
+        `text="${escapeXml(o.text)}"`,
+        `title="${escapeXml(o.text)}"`,
+        `xmlUrl="${escapeXml(o.xmlUrl)}"`,
+        o.htmlUrl ? `htmlUrl="${escapeXml(o.htmlUrl)}"` : "",
+        o.description ? `description="${escapeXml(o.description)}"` : ""
+      ].filter(Boolean);
+      return `    <outline ${attrs.join(" ")} />`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${outlineXml}
+  </body>
+</opml>`;
+}
+
+// =========================
+// Output formats
+// =========================
+
+// Route prefix -> serializer. Each format gets its own path, so the URL-keyed
+// cache naturally keeps one entry per format.
+const FORMATS = {
+  rss: { ext: "xml", contentType: "application/rss+xml; charset=utf-8", build: buildRss },
+  atom: { ext: "xml", contentType: "application/atom+xml; charset=utf-8", build: buildAtom },
+  json: { ext: "json", contentType: "application/feed+json; charset=utf-8", build: buildJsonFeed }
+};
+
+// =========================
+// Filters
+// =========================
+
+// How many candidates to fetch per wanted item when filters are on
+const FILTER_OVERFETCH = 3;
+const MAX_FILTER_TERMS = 20;
+const MAX_PATTERN_LENGTH = 100;
+
+// /regex/ filters come from the query string and run against every title, so
+// only patterns that can't backtrack catastrophically are accepted, and only
+// a few of them per feed
+const MAX_REGEX_TERMS = 5;
+const MAX_REGEX_LENGTH = 40;
+const MAX_REGEX_QUANTIFIERS = 4;
+const MAX_REGEX_UNBOUNDED = 2;
+// Product of the bounded quantifiers' choices ({n,m} -> m-n+1, ? -> 2)
+const MAX_REGEX_COMBINATIONS = 100;
+
+// Values of a repeatable, comma-separated param. A value wrapped in /…/ is
+// one regex and is never split (it may contain commas itself).
+function filterValues(params, name) {
+  return params
+    .getAll(name)
+    .flatMap((v) => (/^\/.+\/$/.test(v.trim()) ? [v.trim()] : v.split(",")))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Why a filter regex isn't in the safe subset, or null when it is. Allowed:
+ * literals, escapes, classes, anchors, (…) / (?:…) groups, alternation and
+ * quantifiers, with
+ *  - no backreferences, lookarounds or named groups
+ *  - no quantified group that itself holds a quantifier or "|" ((a+)+, (a|ab)*)
+ *  - at most MAX_REGEX_QUANTIFIERS quantifiers, MAX_REGEX_UNBOUNDED of them
+ *    open-ended (*, +, {n,} or more than ten repeats)
+ *  - at most MAX_REGEX_COMBINATIONS ways for the bounded ones to split a
+ *    match between them (.{0,10}.{0,10}.{0,10} is 11^3)
+ * Syntax errors are left for the RegExp constructor.
+ */
+function unsafeRegexReason(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) return `longer than ${MAX_REGEX_LENGTH} characters`;
+
+  const groups = [];
+  let last = null; // the atom a quantifier would apply to; a closed group carries its contents' traits
+  let quantifiers = 0;
+  let unbounded = 0;
+  let combinations = 1;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+
+    if (c === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) return "backreferences are not supported";
+      i++;
+      last = { group: false };
+      continue;
+    }
+
+    if (c === "[") {
+      let j = i + 1;
+      if (pattern[j] === "^") j++;
+      if (pattern[j] === "]") j++;
+      while (j < pattern.length && pattern[j] !== "]") j += pattern[j] === "\\" ? 2 : 1;
+      i = j;
+      last = { group: false };
+      continue;
+    }
+
+    if (c === "(") {
+      if (pattern[i + 1] === "?") {
+        if (pattern[i + 2] !== ":") return "lookarounds and named groups are not supported";
+        i += 2;
+      }
+      groups.push({ group: true, quantified: false, alternation: false });
+      last = null;
+      continue;
+    }
+
+    if (c === ")") {
+      const group = groups.pop();
+      if (!group) return null;
+      const parent = groups.at(-1);
+      if (parent) {
+        parent.quantified ||= group.quantified;
+        parent.alternation ||= group.alternation;
+      }
+      last = group;
+      continue;
+    }
+
+    if (c === "|") {
+      if (groups.length) groups.at(-1).alternation = true;
+      last = null;
+      continue;
+    }
+
+    const braces = c === "{" ? pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+    if (c === "*" || c === "+" || c === "?" || braces) {
+      if (last?.group && (last.quantified || last.alternation)) {
+        return "a repeated group may not contain quantifiers or alternatives";
+      }
+      quantifiers++;
+      const min = braces ? Number(braces[1]) : c === "+" ? 1 : 0;
+      const max = braces ? (braces[2] ? Number(braces[3] || Infinity) : min) : c === "?" ? 1 : Infinity;
+      if (max > 10) unbounded++;
+      else combinations *= max - min + 1;
+      if (quantifiers > MAX_REGEX_QUANTIFIERS) return `more than ${MAX_REGEX_QUANTIFIERS} quantifiers`;
+      if (unbounded > MAX_REGEX_UNBOUNDED) return `more than ${MAX_REGEX_UNBOUNDED} open-ended quantifiers`;
+      if (combinations > MAX_REGEX_COMBINATIONS) {
+        return `its repeats combine in more than ${MAX_REGEX_COMBINATIONS} ways`;
+      }
+
+      if (groups.length) groups.at(-1).quantified = true;
+      if (braces) i += braces[0].length - 1;
+      if (pattern[i + 1] === "?") i++; // lazy
+      last = null;
+      continue;
+    }
+
+    last = { group: false };
+  }
+
+  return null;
+}
+
+// "ai" / "open source" -> whole-word, case-insensitive; "/gpt-?\d/" -> regex
+// from the safe subset above
+function compileTerm(term) {
+  if (term.length > MAX_PATTERN_LENGTH) throw new Error(`Filter too long: ${term.slice(0, 20)}…`);
+
+  const isRegex = /^\/.+\/$/.test(term);
+  const unsafe = isRegex ? unsafeRegexReason(term.slice(1, -1)) : null;
+  if (unsafe) throw new Error(`Filter regex ${term} is not allowed: ${unsafe}`);
+  const source = isRegex ? term : term.toLowerCase();
+  const pattern = isRegex ? term.slice(1, -1) : `(?<![\\p{L}\\p{N}])${escapeRegExp(source)}(?![\\p{L}\\p{N}])`;
+
+  try {
+    return { source, re: new RegExp(pattern, isRegex ? "i" : "iu") };
+  } catch {
+    throw new Error(`Invalid filter regex ${term}`);
+  }
+}
+
+// "https://www.Example.com/path" -> "example.com"
+function normalizeDomain(v) {
+  return v
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/^www\./, "");
+}
+
+// Returns { include, exclude, domain, excludeDomain, active } or { error }
+function parseFilters(params) {
+  try {
+    const lists = {
+      include: filterValues(params, "include").slice(0, MAX_FILTER_TERMS).map(compileTerm),
+      exclude: filterValues(params, "exclude").slice(0, MAX_FILTER_TERMS).map(compileTerm),
+      domain: filterValues(params, "domain").slice(0, MAX_FILTER_TERMS).map(normalizeDomain).filter(Boolean),
+      excludeDomain: filterValues(params, "excludeDomain")
+        .slice(0, MAX_FILTER_TERMS)
+        .map(normalizeDomain)
+        .filter(Boolean)
+    };
+    const regexes = [...lists.include, ...lists.exclude].filter((term) => term.source.startsWith("/"));
+    if (regexes.length > MAX_REGEX_TERMS) throw new Error(`At most ${MAX_REGEX_TERMS} /regex/ filters per feed`);
+    return { ...lists, active: Object.values(lists).some((list) => list.length > 0) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+function hostMatches(host, domains) {
+  return domains.some((d) => host === d || host.endsWith("." + d));
+}
+
+// post: { title, link } after entity decoding and external-first link resolution
+function matchesFilters(post, filters) {
+  if (!filters.active) return true;
+
+  let host = "";
+  try {
+    host = new URL(post.link).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    // unparseable link: only domain filters can reject it
+  }
+
+  if (filters.include.length && !filters.include.some((f) => f.re.test(post.title))) return false;
+  if (filters.exclude.some((f) => f.re.test(post.title))) return false;
+  if (filters.domain.length && !hostMatches(host, filters.domain)) return false;
+  if (filters.excludeDomain.length && hostMatches(host, filters.excludeDomain)) return false;
+  return true;
+}
+
+// =========================
+// Feed requests
+// =========================
+
+// Parse a feed URL into normalized options. Returns { feed }, or { response }
+// when the URL isn't a feed or carries invalid parameters.
+function parseFeedRequest(url, env) {
+  let pathname = url.pathname;
+
+  if (pathname.startsWith("/rss/digg/")) {
+    pathname = pathname.replace("/rss/digg/", "/rss/");
+  }
+
+  // /rss/<slug>.xml, /atom/<slug>.xml, /json/<slug>.json
+  // Comma-separated slugs merge several communities: /rss/tech,science.xml
+  const m = pathname.match(/^\/(rss|atom|json)\/([a-z0-9,-]+)\.(xml|json)$/i);
+  const formatName = m ? m[1].toLowerCase() : null;
+  const format = formatName ? FORMATS[formatName] : null;
+
+  if (!format || m[3].toLowerCase() !== format.ext) {
+    return { response: notFound() };
+  }
+
+  // ?communities=a,b,c takes precedence over the slug in the path
+  const slugSource = url.searchParams.get("communities") || m[2];
+  const isAll = !url.searchParams.get("communities") && m[2].toLowerCase() === "all-digg-trending";
+  const communitySlugs = isAll ? [] : parseCommunitySlugs(slugSource);
+
+  if (!isAll && !communitySlugs.length) {
+    return { response: notFound() };
+  }
+
+  // Above one upstream page we paginate; the ceiling is configurable
+  const maxLimit = clampInt(env.MAX_LIMIT, 50, 1, 1000);
+  const limit = clampInt(url.searchParams.get("limit"), 10, 1, maxLimit);
+
+  // TL;DR length: default 220, allow override
+  const tldrMax = clampInt(url.searchParams.get("tldr"), DEFAULT_TLDR_MAX, 80, 500);
+
+  const sort = (url.searchParams.get("sort") || DEFAULT_SORT).toLowerCase();
+  if (!SORTS[sort]) {
+    return {
+      response: badRequest(`Unknown sort "${sort}". Use one of: ${Object.keys(SORTS).join(", ")}`)
+    };
+  }
+
+  // ?window=6h|1d|30d sets the first (or, with ?strict=1, only) time window
+  const windowParam = url.searchParams.get("window");
+  const windowMs = windowParam ? parseWindow(windowParam) : null;
+  if (windowParam && !windowMs) {
+    return { response: badRequest(`Invalid window "${windowParam}". Use e.g. 6h, 1d, 2w (1h to 30d)`) };
+  }
+
+  const strict = url.searchParams.get("strict") === "1";
+
+  // ?full=1 adds the external article's readable text as content:encoded
+  const full = url.searchParams.get("full") === "1";
+
+  // ?include / ?exclude (title words or /regex/), ?domain / ?excludeDomain
+  const filters = parseFilters(url.searchParams);
+  if (filters.error) return { response: badRequest(filters.error) };
+
+  // ?html=1 renders the same feed as a readable page for browsers
+  const html = url.searchParams.get("html") === "1";
+
+  // Filtering happens before the limit, so ask upstream for more to keep the feed full
+  const fetchLimit = filters.active ? Math.min(limit * FILTER_OVERFETCH, Math.max(limit, maxLimit)) : limit;
+
+  // Everything that changes the feed's content, normalized, so ?sort=top and
+  // no sort share cache entries but top/newest never do
+  const key = new URLSearchParams({
+    communities: communitySlugs.join(","),
+    domain: filters.domain.join(","),
+    exclude: filters.exclude.map((f) => f.source).join(","),
+    excludeDomain: filters.excludeDomain.join(","),
+    full: full ? "1" : "0",
+    include: filters.include.map((f) => f.source).join(","),
+    limit: String(limit),
+    sort,
+    strict: strict ? "1" : "0",
+    tldr: String(tldrMax),
+    window: windowMs ? String(windowMs) : ""
+  }).toString();
+
+  // The feed's own URL for self links and ids: the path form plus the
+  // non-default params that change its content. ?limit and ?html don't.
+  const selfParams = new URLSearchParams();
+  if (sort !== DEFAULT_SORT) selfParams.set("sort", sort);
+  if (windowMs) selfParams.set("window", formatWindow(windowMs));
+  if (strict) selfParams.set("strict", "1");
+  if (full) selfParams.set("full", "1");
+  if (tldrMax !== DEFAULT_TLDR_MAX) selfParams.set("tldr", String(tldrMax));
+  for (const name of ["include", "exclude"]) {
+    for (const f of filters[name]) selfParams.append(name, f.source);
+  }
+  for (const name of ["domain", "excludeDomain"]) {
+    for (const d of filters[name]) selfParams.append(name, d);
+  }
+  const selfSlug = communitySlugs.join(",") || "all-digg-trending";
+  const selfQuery = selfParams.toString();
+  const selfPath = `/${formatName}/${selfSlug}.${format.ext}${selfQuery ? `?${selfQuery}` : ""}`;
+
+  return {
+    feed: {
+      formatName,
+      format,
+      isAll,
+      communitySlugs,
+      limit,
+      fetchLimit,
+      filters,
+      tldrMax,
+      sort,
+      full,
+      html,
+      windowsMs: windowLadder({ isCommunity: !isAll, windowMs, strict }),
+      key,
+      selfPath
+    }
+  };
+}
+
+function badRequest(message) {
+  return httpError(400, "bad_request", message);
+}
+
+function notFound() {
+  return httpError(404, "not_found", "Not found");
+}
+
+// Edge cache entry per format + normalized options. The HTML preview shares
+// the model (prewarm, last-known-good) but not the rendered copy. Every URL
+// that maps to one entry renders the same self link (feed.selfPath), so any
+// of them may fill it.
+function feedCacheKey(origin, feed) {
+  const ext = feed.html ? "html" : feed.format.ext;
+  return new Request(`${origin}/${feed.formatName}/feed.${ext}?${feed.key}`, { method: "GET" });
+}
+
+// Fetch posts and build the format-independent feed model:
+// { model: { title, link, description, items } } or { error }
+// `trace` collects what the build did (upstream time, item count) for the
+// request's log line and metrics; prewarm builds get their own.
+function createTrace(env, fields = {}) {
+  return { log: createLogger(env, fields), upstreamMs: 0 };
+}
+
+async function buildFeedModel(feed, env, ctx, trace = createTrace(env)) {
+  const { isAll, communitySlugs, limit, fetchLimit, filters, tldrMax, sort, full, windowsMs } = feed;
+  const started = Date.now();
+
+  // Start from the query shape earlier builds learned: the community
+  // where-shape and whether authors can be asked for. Pagination stops
+  // following cursors once the time budget is spent.
+  const shape = await loadQueryShape(env);
+  const gqlState = {
+    withAccount: shape.withAccount,
+    deadline: Date.now() + clampInt(env.PAGINATION_BUDGET_MS, 10000, 1000, 25000),
+    whereVariant: shape.whereVariant,
+    shapeChanged: false,
+    windows: [],
+    log: trace.log
+  };
+
+  let edges = null;
+  let error = null;
+
+  if (isAll || communitySlugs.length === 1) {
+    const result = await fetchFeedEdges({
+      communitySlug: communitySlugs[0] || null,
+      limit: fetchLimit,
+      sort,
+      windowsMs,
+      gqlState
+    });
+    error = result.error || null;
+    edges = result.edges || null;
+  } else {
+    // One fan-out per community, each through the same window/variant ladder
+    const results = await Promise.all(
+      communitySlugs.map((communitySlug) =>
+        fetchFeedEdges({ communitySlug, limit: fetchLimit, sort, windowsMs, gqlState })
+      )
+    );
+
+    const ok = results.filter((r) => !r.error);
+    if (!ok.length) {
+      error = results[0].error;
+    } else {
+      edges = mergeEdges(
+        ok.map((r) => r.edges),
+        fetchLimit,
+        sort
+      );
+    }
+  }
+
+  // Persist what this build learned (or unlearned), even if it failed
+  if (gqlState.shapeChanged) {
+    const learned = { whereVariant: gqlState.whereVariant, withAccount: gqlState.withAccount };
+    ctx.waitUntil(saveQueryShape(learned, env));
+  }
+
+  const upstreamMs = Date.now() - started;
+  trace.upstreamMs += upstreamMs;
+
+  const ladder = {
+    windows: gqlState.windows.length,
+    maxStep: Math.max(0, ...gqlState.windows.map((w) => w.step)),
+    whereVariant: gqlState.whereVariant,
+    withAccount: gqlState.withAccount
+  };
+
+  if (error) {
+    trace.log.warn("feed.build_failed", { feed: feed.key, upstreamMs, ...ladder, error });
+    return { error };
+  }
+
+  // Resolve titles and links first (cheap), so filters run before the limit
+  // and before any Digg page is scraped
+  const posts = edges
+    .map(({ node }) => {
+      const comm = node.community?.slug || "digg";
+      const rawId = String(node._id || "");
+      const shortId = rawId.startsWith(comm + "-") ? rawId.slice((comm + "-").length) : rawId;
+
+      const diggLink = `https://digg.com/${comm}/${shortId}/${node.slug}`;
+      const externalUrl = node.externalContent?.url || "";
+
+      return {
+        node,
+        rawId,
+        diggLink,
+        externalUrl,
+        // External-first behavior:
+        link: externalUrl || diggLink,
+        title: decodeHtmlEntities(node.title || "(untitled)")
+      };
+    })
+    .filter((post) => matchesFilters(post, filters))
+    .slice(0, limit);
+
+  const fullBudget = full ? createFullBudget(env) : null;
+  const metaBudget = createMetaBudget(env, trace.log);
+  const builtAt = new Date().toISOString();
+
+  // Build items with TL;DR from Digg HTML, a few pages at a time
+  const items = await mapWithConcurrency(
+    posts,
+    metaBudget.concurrency,
+    async ({ node, rawId, diggLink, externalUrl, link, title }) => {
+      // TL;DR + OpenGraph from the Digg post page; fallback to title snippet
+      const meta = await fetchDiggMeta(diggLink, rawId, env, ctx, metaBudget);
+      // Plain text: the TL;DR and title were decoded once, where they were read
+      const baseSnippet = makeSnippet(meta.summary || title, tldrMax);
+
+      // Description is HTML (wrapped in CDATA later), so the snippet is escaped
+      // once into it. Decoding again here would turn &lt;script&gt; into markup.
+      const snippetHtml = escapeXml(baseSnippet);
+      const description = externalUrl
+        ? `${snippetHtml}<br/><br/><a href="${escapeXml(diggLink)}">Discuss on Digg</a>`
+        : snippetHtml;
+
+      // Full article text, only for posts that point off-site
+      const contentHtml = fullBudget && externalUrl ? await fetchFullContent(externalUrl, fullBudget, ctx) : "";
+
+      // Embeddable video/audio, external first (fallback to diggLink)
+      const media = detectMedia(externalUrl || diggLink, { duration: meta.duration });
+
+      // Hero image: og:image from the Digg page, else the provider's thumbnail
+      // (type is "" when neither the page nor the URL says)
+      const image = meta.image
+        ? { url: meta.image, type: meta.imageType || "" }
+        : media?.thumbnail
+          ? { url: media.thumbnail, type: guessImageType(media.thumbnail) }
+          : null;
+
+      // A direct media file (podcast episode, HLS stream) is the better
+      // enclosure; otherwise the hero image, when its MIME type is known
+      // (enclosures must carry one)
+      const enclosure = media?.url ? { url: media.url, type: media.type } : image?.type ? image : null;
+
+      return {
+        title,
+        link,
+        guid: diggLink,
+        // Every builder needs a real date; undated posts get the build time
+        pubDate: isoDate(node.createdDate) || isoDate(meta.publishedTime) || builtAt,
+        description,
+        summary: baseSnippet,
+        contentHtml,
+        enclosure,
+        image,
+        media,
+        siteName: meta.siteName || null,
+        creator: node.account?.username || null
+      };
+    }
+  );
+
+  trace.log.info("feed.build", {
+    feed: feed.key,
+    upstreamMs,
+    ms: Date.now() - started,
+    edges: edges.length,
+    items: items.length,
+    ...ladder,
+    tldr: metaBudget.stats
+  });
+
+  const { title, link } = feedTitleAndLink(feed);
+  return { model: { title, link, description: title, items } };
+}
+
+function feedTitleAndLink({ isAll, communitySlugs, sort }) {
+  const sortLabel = SORTS[sort].label;
+  const title = isAll
+    ? `Digg — All Digg (${sortLabel})`
+    : `Digg — ${communitySlugs.join(" + ")} (${sortLabel})`;
+  const link = isAll
+    ? "https://digg.com/?feed=all-digg"
+    : communitySlugs.length === 1
+      ? `https://digg.com/${communitySlugs[0]}`
+      : "https://digg.com/";
+  return { title, link };
+}
+
+// Stand-in model when a feed can't be built and there's no old copy: a valid
+// feed with one item saying so, which readers show instead of an error. The
+// guid is stable, so a reader keeps at most one such item per feed.
+function unavailableModel(feed, selfUrl, requestId) {
+  const { title, link } = feedTitleAndLink(feed);
+  const feedUrl = new URL(selfUrl);
+
+  const text =
+    "Digg couldn't be reached while building this feed. It will be back on a later refresh. " +
+    `(ref ${requestId})`;
+  return {
+    title,
+    link,
+    description: title,
+    items: [
+      {
+        title: "Feed temporarily unavailable",
+        link,
+        guid: `${feedUrl}#unavailable`,
+        pubDate: new Date().toISOString(),
+        description: text,
+        summary: text,
+        contentHtml: "",
+        enclosure: null,
+        image: null,
+        media: null,
+        siteName: null,
+        creator: null
+      }
+    ]
+  };
+}
+
+async function renderFeed(feed, model, selfUrl) {
+  // Saved feeds carry their own name
+  const shown = feed.title ? { ...model, title: feed.title, description: feed.title } : model;
+
+  let body;
+  if (feed.html) {
+    body = renderFeedPage({ ...shown, feedUrl: selfUrl, contentType: feed.format.contentType });
+  } else {
+    body = feed.format.build({ ...shown, selfUrl });
+  }
+
+  const headers = new Headers({
+    "content-type": feed.html ? "text/html; charset=utf-8" : feed.format.contentType,
+    "cache-control": `public, max-age=${FEED_FRESH_TTL}`,
+    etag: await feedEtag(feed.html ? `${feed.formatName}:html` : feed.formatName, shown),
+    "x-feed-built-at": String(Date.now()),
+    "x-feed-items": String(model.items?.length || 0)
+  });
+
+  const newest = newestPubDate(model.items);
+  if (newest) headers.set("last-modified", newest.toUTCString());
+
+  return new Response(body, { headers });
+}
+
+// =========================
+// Feed caching (stale-while-revalidate + last-known-good)
+// =========================
+
+// Readers are told FEED_FRESH_TTL; the edge keeps its copy for FEED_STALE_TTL
+// so an expired feed can still be served while it rebuilds in the background
+const FEED_FRESH_TTL = 600;
+const FEED_STALE_TTL = 24 * 60 * 60;
+
+// Last-known-good models in FEED_KV, served when upstream is down
+const LKG_TTL = 7 * 24 * 60 * 60;
+
+function toCacheEntry(resp) {
+  const entry = new Response(resp.body, resp);
+  entry.headers.set("cache-control", `public, max-age=${FEED_STALE_TTL}`);
+  return entry;
+}
+
+function fromCacheEntry(cached, status) {
+  const out = new Response(cached.body, cached);
+  out.headers.set("cache-control", `public, max-age=${status === "HIT" ? FEED_FRESH_TTL : 60}`);
+  out.headers.set("x-feed-cache", status);
+  return out;
+}
+
+function cacheAgeMs(cached) {
+  const builtAt = Number(cached.headers.get("x-feed-built-at"));
+  return Number.isFinite(builtAt) && builtAt > 0 ? Date.now() - builtAt : Infinity;
+}
+
+// KV keys are capped at 512 bytes and feed.key carries every filter term (and
+// a saved feed's name), so the KV copies are keyed by its digest
+async function feedKvKey(prefix, feed) {
+  return `${prefix}:${await sha256Hex(feed.key)}`;
+}
+
+function lastKnownGoodKey(feed) {
+  return feedKvKey("lkg", feed);
+}
+
+async function saveLastKnownGood(feed, model, env) {
+  if (!env.FEED_KV) return;
+  await env.FEED_KV.put(await lastKnownGoodKey(feed), JSON.stringify({ builtAt: new Date().toISOString(), model }), {
+    expirationTtl: LKG_TTL
+  }).catch(() => {});
+}
+
+async function loadLastKnownGood(feed, env) {
+  if (!env.FEED_KV) return null;
+  const stored = await env.FEED_KV.get(await lastKnownGoodKey(feed), "json").catch(() => null);
+  return stored?.model || null;
+}
+
+// Build (or take the cron-built model), render, and refresh the edge cache.
+// Returns { response } or { error } when upstream failed. `previousEtag` is
+// the copy being replaced; when the new build renders the same, its
+// last-known-good copy is already in KV.
+async function refreshFeed(feed, env, ctx, cacheKey, selfUrl, trace, previousEtag = null) {
+  let model = await loadPrewarmedModel(feed, env);
+  const prewarmed = !!model;
+  if (!prewarmed) {
+    const built = await buildFeedModel(feed, env, ctx, trace);
+    if (built.error) return { error: built.error };
+    model = built.model;
+  }
+
+  const out = await renderFeed(feed, model, selfUrl);
+  if (!prewarmed && out.headers.get("etag") !== previousEtag) {
+    ctx.waitUntil(saveLastKnownGood(feed, model, env));
+  }
+  ctx.waitUntil(caches.default.put(cacheKey, toCacheEntry(out.clone())));
+  return { response: out };
+}
+
+// Background rebuilds in flight in this isolate, by cache key, so a popular
+// feed that just expired is rebuilt once rather than once per request
+const refreshing = new Map();
+
+async function serveFeed(request, feed, env, ctx, trace) {
+  // Cache feed by format + normalized options
+  const cacheKey = feedCacheKey(new URL(request.url).origin, feed);
+  const selfUrl = new URL(feed.selfPath, request.url).toString();
+  const cached = await caches.default.match(cacheKey);
+
+  if (cached) {
+    if (cacheAgeMs(cached) < FEED_FRESH_TTL * 1000) return fromCacheEntry(cached, "HIT");
+
+    // Expired: answer with the old copy, rebuild behind the response (unless
+    // upstream is known to be down, then the old copy is all we'd get anyway)
+    if (!graphql.breaker.isOpen() && !refreshing.has(cacheKey.url)) {
+      const refresh = refreshFeed(feed, env, ctx, cacheKey, selfUrl, trace, cached.headers.get("etag"))
+        .catch((err) => {
+          trace.log.error("feed.refresh_failed", { feed: feed.key, detail: err?.stack || String(err) });
+        })
+        .finally(() => refreshing.delete(cacheKey.url));
+      refreshing.set(cacheKey.url, refresh);
+      ctx.waitUntil(refresh);
+    }
+    return fromCacheEntry(cached, "STALE");
+  }
+
+  const result = await refreshFeed(feed, env, ctx, cacheKey, selfUrl, trace);
+  if (result.response) {
+    result.response.headers.set("x-feed-cache", "MISS");
+    return result.response;
+  }
+
+  // Upstream has no such sort: a 400 now, and before building from then on
+  if (feed.sort !== DEFAULT_SORT && rejectsSort(result.error)) {
+    rememberRejectedSort(feed.sort, ctx);
+    const sorts = (await supportedSorts(ctx)).filter((name) => name !== feed.sort);
+    return sortUnavailableResponse(feed.sort, sorts);
+  }
+
+  // Upstream failed: a slightly old feed beats a broken one
+  const lkg = await loadLastKnownGood(feed, env);
+  if (lkg) {
+    const out = await renderFeed(feed, lkg, selfUrl);
+    out.headers.set("cache-control", "public, max-age=60");
+    out.headers.set("x-feed-stale", "upstream-error");
+    return out;
+  }
+
+  // Nothing to fall back on: a placeholder feed for readers, details for the logs
+  const requestId = requestIdFor(request);
+  trace.log.error("feed.unavailable", { feed: feed.key, detail: result.error });
+
+  const out = await renderFeed(feed, unavailableModel(feed, selfUrl, requestId), selfUrl);
+  out.headers.delete("etag");
+  out.headers.delete("last-modified");
+  out.headers.set("cache-control", "no-store");
+  out.headers.set("x-feed-stale", "unavailable");
+  out.headers.set("x-request-id", requestId);
+  return out;
+}
+
+// =========================
+// Cron pre-warming
+// =========================
+
+// Pre-warmed models outlive a couple of missed cron runs, then expire so a
+// stopped trigger can't pin an old feed forever
+const PREWARM_TTL = 30 * 60;
+
+const DEFAULT_PREWARM_FEEDS = [{ slug: "all-digg-trending", limit: 50, tldr: 220 }];
+
+// PREWARM_FEEDS: JSON array of { slug, limit?, tldr?, ...any other feed param }
+function parsePrewarmFeeds(v) {
+  if (!v) return DEFAULT_PREWARM_FEEDS;
+  try {
+    const list = typeof v === "string" ? JSON.parse(v) : v;
+    return Array.isArray(list) ? list.filter((def) => def && typeof def.slug === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function prewarmKey(feed) {
+  return feedKvKey("feed", feed);
+}
+
+// Models are stored format-independent; each request renders its own format
+// and self link from them
+async function loadPrewarmedModel(feed, env) {
+  if (!env.FEED_KV) return null;
+  const stored = await env.FEED_KV.get(await prewarmKey(feed), "json").catch(() => null);
+  return stored?.model || null;
+}
+
+async function prewarmFeeds(env, ctx) {
+  const log = createLogger(env, { source: "prewarm" });
+
+  for (const def of parsePrewarmFeeds(env.PREWARM_FEEDS)) {
+    // Same parser as live requests, so the stored key matches theirs
+    const url = new URL(`https://prewarm.invalid/rss/${def.slug}.xml`);
+    for (const [name, value] of Object.entries(def)) {
+      if (name !== "slug" && value != null) url.searchParams.set(name, String(value));
+    }
+
+    const parsed = parseFeedRequest(url, env);
+    const rejected = parsed.response || (await unservableFeedResponse(parsed.feed, ctx));
+    if (rejected) {
+      log.warn("prewarm.invalid_feed", { path: `${url.pathname}${url.search}`, status: rejected.status });
+      continue;
+    }
+
+    const built = await buildFeedModel(parsed.feed, env, ctx, createTrace(env, { source: "prewarm" }));
+    if (built.error) continue;
+
+    // One failed write mustn't cost the feeds after it their refresh
+    await env.FEED_KV.put(
+      await prewarmKey(parsed.feed),
+      JSON.stringify({ builtAt: new Date().toISOString(), model: built.model }),
+      { expirationTtl: PREWARM_TTL }
+    ).catch((err) => log.warn("prewarm.store_failed", { feed: parsed.feed.key, detail: String(err) }));
+    await saveLastKnownGood(parsed.feed, built.model, env);
+  }
+}
+
+// =========================
+// Landing page
+// =========================
+
+// Communities listed on /: Digg's list, or the ones the cron keeps warm when
+// upstream can't be reached
+async function knownCommunities(env, ctx) {
+  const { communities } = await loadCommunities(ctx);
+  if (communities) return communities;
+
+  const slugs = parsePrewarmFeeds(env.PREWARM_FEEDS).flatMap((def) => parseCommunitySlugs(def.slug));
+  return [...new Set(slugs)].map((slug) => ({ slug }));
+}
+
+async function homePageResponse(url, env, ctx) {
+  const body = renderHomePage({
+    origin: url.origin,
+    communities: await knownCommunities(env, ctx),
+    sorts: await supportedSorts(ctx),
+    maxLimit: clampInt(env.MAX_LIMIT, 50, 1, 1000)
+  });
+  return new Response(body, {
+    headers: { "content-type": "text/html; charset=utf-8", "cache-control": "public, max-age=3600" }
+  });
+}
+
+// =========================
+// Saved feeds (/feeds API, /f/<id>.xml)
+// =========================
+
+// Definition fields accepted by the API; everything else in the body is ignored
+const SAVED_FEED_FIELDS = [
+  "communities",
+  "sort",
+  "window",
+  "strict",
+  "limit",
+  "tldr",
+  "full",
+  "include",
+  "exclude",
+  "domain",
+  "excludeDomain"
+];
+
+const SAVED_ID_ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789";
+const SAVED_ID_LENGTH = 8;
+const MAX_SAVED_BODY = 16 * 1024;
+const MAX_SAVED_NAME = 200;
+
+function savedFeedKey(id) {
+  return `def:${id}`;
+}
+
+function newSavedId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SAVED_ID_LENGTH));
+  return Array.from(bytes, (b) => SAVED_ID_ALPHABET[b % SAVED_ID_ALPHABET.length]).join("");
+}
+
+function savedFeedUrl(origin, id, format) {
+  return `${origin}/f/${id}.${FORMATS[format].ext}`;
+}
+
+// Saved definition -> the feed URL it stands for, e.g.
+// { communities: ["tech"], sort: "newest", include: ["ai"] } -> /rss/tech.xml?sort=newest&include=ai
+function savedDefinitionUrl(def) {
+  const communities = [].concat(def.params.communities ?? []).join(",");
+  const format = FORMATS[def.format];
+  const slug = communities || "all-digg-trending";
+  const url = new URL(`https://saved.invalid/${def.format}/${slug}.${format.ext}`);
+
+  for (const name of SAVED_FEED_FIELDS) {
+    const value = def.params[name];
+    if (name === "communities" || value == null) continue;
+    for (const v of [].concat(value)) {
+      url.searchParams.append(name, typeof v === "boolean" ? (v ? "1" : "0") : String(v));
+    }
+  }
+  return url;
+}
+
+// Request body -> { def } or { response } (400). Checked like a live feed
+// URL: the same parser, then communities and sort against what Digg lists
+// (skipped while those lists can't be loaded).
+async function parseSavedDefinition(body, env, ctx) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { response: badRequest("Expected a JSON object") };
+  }
+
+  const format = String(body.format || "rss").toLowerCase();
+  if (!FORMATS[format]) {
+    const formats = Object.keys(FORMATS).join(", ");
+    return { response: badRequest(`Unknown format "${format}". Use one of: ${formats}`) };
+  }
+
+  const name = body.name == null ? "" : String(body.name).trim();
+  if (name.length > MAX_SAVED_NAME) {
+    return { response: badRequest(`name is longer than ${MAX_SAVED_NAME} characters`) };
+  }
+
+  const params = {};
+  for (const field of SAVED_FEED_FIELDS) {
+    const value = body[field];
+    if (value == null || value === "") continue;
+    const ok = [].concat(value).every((v) => ["string", "number", "boolean"].includes(typeof v));
+    if (!ok) return { response: badRequest(`${field} must be a string, number, boolean or an array of them`) };
+    params[field] = value;
+  }
+
+  const def = { name, format, params };
+  const parsed = parseFeedRequest(savedDefinitionUrl(def), env);
+  if (parsed.response) {
+    return parsed.response.status === 404 ? { response: badRequest("Invalid communities") } : parsed;
+  }
+
+  const unservable = await unservableFeedResponse(parsed.feed, ctx);
+  if (unservable) return { response: badRequest(errorInfo(unservable).message) };
+  return { def };
+}
+
+// Stored definition -> the same feed object a live URL parses to. The id and
+// name are part of the key, so the edge copy (with its self link and title)
+// is never shared with the equivalent long URL.
+function savedFeedRequest(def, env) {
+  const parsed = parseFeedRequest(savedDefinitionUrl(def), env);
+  if (parsed.response) return parsed;
+
+  const { feed } = parsed;
+  const extra = new URLSearchParams({ saved: def.id, name: def.name || "" });
+  return {
+    feed: {
+      ...feed,
+      title: def.name || null,
+      key: `${feed.key}&${extra}`,
+      selfPath: `/f/${def.id}.${feed.format.ext}`
+    }
+  };
+}
+
+async function loadSavedDefinition(id, env) {
+  if (!/^[a-z0-9]+$/.test(id)) return null;
+  return env.FEED_KV.get(savedFeedKey(id), "json");
+}
+
+// Last-known-good copy of a saved feed, keyed like its live builds
+async function deleteSavedLastKnownGood(def, env) {
+  const { feed } = savedFeedRequest(def, env);
+  if (feed) await env.FEED_KV.delete(await lastKnownGoodKey(feed)).catch(() => {});
+}
+
+async function storeSavedDefinition(def, env) {
+  await env.FEED_KV.put(savedFeedKey(def.id), JSON.stringify(def), {
+    // Listing reads metadata only
+    metadata: { name: def.name, format: def.format, updatedAt: def.updatedAt }
+  });
+}
+
+// GET /f/<id>.xml (or .json for JSON Feed definitions)
+async function resolveSavedFeed(url, env) {
+  const m = url.pathname.match(/^\/f\/([a-z0-9]+)\.(xml|json)$/i);
+  if (!m || !env.FEED_KV) return { response: notFound() };
+
+  const def = await loadSavedDefinition(m[1].toLowerCase(), env);
+  if (!def || FORMATS[def.format]?.ext !== m[2].toLowerCase()) return { response: notFound() };
+
+  const saved = savedFeedRequest(def, env);
+  if (saved.feed) saved.feed.html = url.searchParams.get("html") === "1";
+  return saved;
+}
+
+// Constant-time comparison of the SHA-256 digests, so the token can't be
+// guessed byte by byte from response timing
+async function tokenMatches(given, expected) {
+  const digest = async (s) =>
+    new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s)));
+  const [a, b] = await Promise.all([digest(given), digest(expected)]);
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function readJsonBody(request) {
+  const text = await request.text();
+  if (text.length > MAX_SAVED_BODY) return { response: badRequest("Request body too large") };
+  try {
+    return { body: JSON.parse(text) };
+  } catch {
+    return { response: badRequest("Request body is not valid JSON") };
+  }
+}
+
+function savedFeedJson(def, origin) {
+  return { ...def, url: savedFeedUrl(origin, def.id, def.format) };
+}
+
+/**
+ * Saved feed definitions, authenticated with `Authorization: Bearer <FEEDS_API_TOKEN>`:
+ *   POST   /feeds        create  -> 201 { id, url, name, format, params, ... }
+ *   GET    /feeds        list    -> { feeds: [...], cursor }   (?cursor= for the next page)
+ *   GET    /feeds/<id>   read
+ *   PUT    /feeds/<id>   replace the definition (the id and URL stay the same)
+ *   DELETE /feeds/<id>   -> 204
+ */
+async function handleFeedsApi(request, url, env, ctx) {
+  if (!env.FEED_KV || !env.FEEDS_API_TOKEN) {
+    return httpError(503, "not_configured", "Saved feeds are not configured on this deployment");
+  }
+
+  const auth = request.headers.get("authorization") || "";
+  const token = auth.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() || "";
+  if (!token || !(await tokenMatches(token, env.FEEDS_API_TOKEN))) {
+    return httpError(401, "unauthorized", "Missing or invalid bearer token", {
+      headers: { "www-authenticate": 'Bearer realm="feeds"' }
+    });
+  }
+
+  const m = url.pathname.match(/^\/feeds(?:\/([a-z0-9]+))?\/?$/i);
+  if (!m) return notFound();
+  const id = m[1]?.toLowerCase() || null;
+  const method = request.method.toUpperCase();
+  const noStore = { "cache-control": "no-store" };
+
+  if (!id && method === "GET") {
+    const page = await env.FEED_KV.list({
+      prefix: savedFeedKey(""),
+      cursor: url.searchParams.get("cursor") || undefined
+    });
+    const feeds = page.keys.map(({ name, metadata }) => {
+      const savedId = name.slice(savedFeedKey("").length);
+      return { id: savedId, ...metadata, url: savedFeedUrl(url.origin, savedId, metadata?.format || "rss") };
+    });
+    return Response.json({ feeds, cursor: page.list_complete ? null : page.cursor }, { headers: noStore });
+  }
+
+  if (!id && method === "POST") {
+    const read = await readJsonBody(request);
+    if (read.response) return read.response;
+    const parsed = await parseSavedDefinition(read.body, env, ctx);
+    if (parsed.response) return parsed.response;
+
+    // Ids are random; re-roll on the (unlikely) collision
+    let newId = newSavedId();
+    while (await loadSavedDefinition(newId, env)) newId = newSavedId();
+
+    const now = new Date().toISOString();
+    const def = { id: newId, ...parsed.def, createdAt: now, updatedAt: now };
+    await storeSavedDefinition(def, env);
+    return Response.json(savedFeedJson(def, url.origin), {
+      status: 201,
+      headers: { ...noStore, location: savedFeedUrl(url.origin, def.id, def.format) }
+    });
+  }
+
+  if (id && ["GET", "PUT", "DELETE"].includes(method)) {
+    const existing = await loadSavedDefinition(id, env);
+    if (!existing) return notFound();
+
+    if (method === "GET") return Response.json(savedFeedJson(existing, url.origin), { headers: noStore });
+
+    if (method === "DELETE") {
+      await env.FEED_KV.delete(savedFeedKey(id));
+      await deleteSavedLastKnownGood(existing, env);
+      return new Response(null, { status: 204 });
+    }
+
+    const read = await readJsonBody(request);
+    if (read.response) return read.response;
+    const parsed = await parseSavedDefinition(read.body, env, ctx);
+    if (parsed.response) return parsed.response;
+
+    const def = { id, ...parsed.def, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+    await storeSavedDefinition(def, env);
+    // The old definition's last-known-good copy can never be served again
+    if (savedFeedRequest(existing, env).feed?.key !== savedFeedRequest(def, env).feed?.key) {
+      await deleteSavedLastKnownGood(existing, env);
+    }
+    return Response.json(savedFeedJson(def, url.origin), { headers: noStore });
+  }
+
+  return httpError(405, "method_not_allowed", `Use ${id ? "GET, PUT or DELETE" : "GET or POST"}`, {
+    headers: { allow: id ? "GET, PUT, DELETE" : "GET, POST" }
+  });
+}
+
+// =========================
+// Conditional GET
+// =========================
+
+// Weak ETag over the feed model rather than the body: the body carries
+// lastBuildDate/updated, which changes on every rebuild even when nothing else did
+async function feedEtag(formatName, model) {
+  const hex = await sha256Hex(JSON.stringify([formatName, model]));
+  return `W/"${hex.slice(0, 32)}"`;
+}
+
+// Last-Modified = newest item, not build time
+function newestPubDate(items) {
+  const times = (items || []).map((it) => Date.parse(it.pubDate)).filter(Number.isFinite);
+  return times.length ? new Date(Math.max(...times)) : null;
+}
+
+function stripWeak(tag) {
+  return tag.trim().replace(/^W\//, "");
+}
+
+// Turn a 200 feed response into 304 Not Modified when the reader's
+// If-None-Match / If-Modified-Since validators still match
+function conditionalResponse(request, resp) {
+  if (resp.status !== 200) return resp;
+
+  const etag = resp.headers.get("etag");
+  const lastModified = resp.headers.get("last-modified");
+  const ifNoneMatch = request.headers.get("if-none-match");
+  const ifModifiedSince = request.headers.get("if-modified-since");
+
+  let notModified = false;
+  if (ifNoneMatch) {
+    // If-None-Match wins over If-Modified-Since (RFC 9110)
+    notModified =
+      !!etag &&
+      (ifNoneMatch.trim() === "*" || ifNoneMatch.split(",").some((tag) => stripWeak(tag) === stripWeak(etag)));
+  } else if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    notModified = Number.isFinite(since) && Date.parse(lastModified) <= since;
+  }
+
+  if (!notModified) return resp;
+
+  resp.body?.cancel().catch(() => {});
+  const headers = new Headers();
+  for (const name of ["etag", "last-modified", "cache-control", "x-feed-cache", "x-feed-stale"]) {
+    const value = resp.headers.get(name);
+    if (value) headers.set(name, value);
+  }
+  return new Response(null, { status: 304, headers });
+}
+
+// =========================
+// Worker
+// =========================
+
+async function handleRequest(request, env, ctx, trace) {
+  const url = new URL(request.url);
+
+  if (url.pathname === "/" && (request.method === "GET" || request.method === "HEAD")) {
+    return homePageResponse(url, env, ctx);
+  }
+
+  if (url.pathname === "/communities.json" || url.pathname === "/communities.opml") {
+    return communitiesResponse(url, ctx);
+  }
+
+  if (url.pathname === "/opml") return opmlBundleResponse(url, env, ctx);
+
+  if (url.pathname === "/feeds" || url.pathname.startsWith("/feeds/")) {
+    return handleFeedsApi(request, url, env, ctx);
+  }
+
+  // /f/<id>.xml resolves a saved definition into the same pipeline as a long URL
+  const parsed = url.pathname.startsWith("/f/") ? await resolveSavedFeed(url, env) : parseFeedRequest(url, env);
+  if (parsed.response) return parsed.response;
+  const { feed } = parsed;
+
+  const unservable = await unservableFeedResponse(feed, ctx);
+  if (unservable) return unservable;
+
+  trace.feed = feed;
+  const response = await serveFeed(request, feed, env, ctx, trace);
+  return conditionalResponse(request, response);
+}
+
+// HIT / STALE / MISS from the edge cache, LKG for a last-known-good copy,
+// UNAVAILABLE for the placeholder feed
+function feedCacheStatus(resp) {
+  const stale = resp.headers.get("x-feed-stale");
+  if (stale === "upstream-error") return "LKG";
+  if (stale === "unavailable") return "UNAVAILABLE";
+  return resp.headers.get("x-feed-cache") || "";
+}
+
+/**
+ * One Analytics Engine data point per feed request (FEED_ANALYTICS binding):
+ *   index1   feed: "<format>:<communities or all-digg-trending>"
+ *   blob1-4  cache status, format, sort, saved feed id ("" for plain URLs)
+ *   double1-4 upstream ms (0 unless this request built the feed), item count,
+ *            HTTP status, total ms
+ */
+function recordFeedMetrics(env, trace, resp, totalMs) {
+  const { feed } = trace;
+  const communities = feed.isAll ? "all-digg-trending" : feed.communitySlugs.join(",");
+  const savedId = new URLSearchParams(feed.key).get("saved") || "";
+
+  writeDataPoint(env.FEED_ANALYTICS, {
+    indexes: [`${feed.formatName}:${communities}`],
+    blobs: [feedCacheStatus(resp), feed.formatName, feed.sort, savedId],
+    doubles: [trace.upstreamMs, Number(resp.headers.get("x-feed-items")) || 0, resp.status, totalMs]
+  });
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const started = Date.now();
+    const trace = createTrace(env, { requestId: requestIdFor(request) });
+    graphqlLog = createLogger(env);
+
+    let response;
+    try {
+      response = await handleRequest(request, env, ctx, trace);
+    } catch (err) {
+      response = httpError(500, "internal_error", "Internal error", { detail: err?.stack || String(err) });
+    }
+
+    // Full error context goes to the logs only, keyed by request id
+    const error = errorInfo(response);
+    if (error && error.status >= 500) {
+      trace.log.error("request.error", { status: error.status, code: error.code, detail: error.detail });
+    }
+
+    const ms = Date.now() - started;
+    const url = new URL(request.url);
+    trace.log.info("request", {
+      method: request.method,
+      path: url.pathname,
+      status: response.status,
+      cache: feedCacheStatus(response) || null,
+      upstreamMs: trace.upstreamMs,
+      ms
+    });
+    if (trace.feed) recordFeedMetrics(env, trace, response, ms);
+
+    return renderError(request, response);
+  },
+
+  // Cron trigger: rebuild the configured feeds so readers never wait on a cold build
+  async scheduled(event, env, ctx) {
+    graphqlLog = createLogger(env);
+    if (!env.FEED_KV) return;
+    await prewarmFeeds(env, ctx);
+  }
 };
@@ -0,0 +1,47 @@
+// src/log.js
+// Structured JSON logs (one object per line, for Workers Logs / tail) and Analytics Engine data points
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Logger writing `{ ts, level, event, ...base, ...fields }` lines.
+ * LOG_LEVEL (debug | info | warn | error, default info) drops anything below it.
+ * `base` fields go on every line, e.g. the request id.
+ */
+export function createLogger(env = {}, base = {}) {
+  const min = LEVELS[String(env.LOG_LEVEL || "").toLowerCase()] ?? LEVELS.info;
+
+  const write = (level, event, fields = {}) => {
+    if (LEVELS[level] < min) return;
+    const line = JSON.stringify({ ts: new Date().toISOString(), level, event, ...base, ...fields });
+    if (level === "error") console.error(line);
+    else if (level === "warn") console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    debug: (event, fields) => write("debug", event, fields),
+    info: (event, fields) => write("info", event, fields),
+    warn: (event, fields) => write("warn", event, fields),
+    error: (event, fields) => write("error", event, fields)
+  };
+}
+
+/**
+ * One Workers Analytics Engine data point; a no-op without the binding.
+ * Anything with writeDataPoint() will do, so local tests can pass a stub
+ * that just records the calls. Metrics must never break a request.
+ */
+export function writeDataPoint(dataset, { indexes = [], blobs = [], doubles = [] }) {
+  if (typeof dataset?.writeDataPoint !== "function") return;
+  try {
+    dataset.writeDataPoint({
+      // Analytics Engine allows one index of up to 96 bytes
+      indexes: indexes.slice(0, 1).map((index) => String(index).slice(0, 96)),
+      blobs: blobs.map((blob) => String(blob ?? "")),
+      doubles: doubles.map((n) => (Number.isFinite(n) ? n : 0))
+    });
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,200 @@
+// src/media.js
+// Embeddable media detection — one provider per host family (video sites, podcasts, audio files)
+
+/**
+ * A provider:
+ *   name        short id, reported as `provider`
+ *   medium      "video" | "audio"
+ *   match(host) host without "www." / "m.", lowercased
+ *   parse(u)    URL -> { id, ... } or null when the link isn't a playable item
+ *   embed(p)    player URL for the parsed item (optional)
+ *   file(p)     direct media file { url, type } (optional)
+ *   thumbnail(p) thumbnail URL when it can be derived from the id (optional)
+ *   duration(u, p) seconds when the URL says so (optional)
+ *
+ * Providers are tried in order; the first whose match() and parse() both
+ * succeed wins. Add new hosts by appending to PROVIDERS.
+ */
+
+function pathParts(u) {
+  return (u.pathname || "").split("/").filter(Boolean);
+}
+
+function isValidYouTubeId(id) {
+  return typeof id === "string" && /^[a-zA-Z0-9_-]{10,16}$/.test(id);
+}
+
+const youtube = {
+  name: "youtube",
+  medium: "video",
+  match: (host) => host === "youtu.be" || host === "youtube.com" || host.endsWith(".youtube.com"),
+  parse(u) {
+    if (u.hostname === "youtu.be") {
+      const id = pathParts(u)[0];
+      return isValidYouTubeId(id) ? { id } : null;
+    }
+
+    const v = u.searchParams.get("v");
+    if (isValidYouTubeId(v)) return { id: v };
+
+    const [kind, id] = pathParts(u);
+    if ((kind === "shorts" || kind === "embed" || kind === "live") && isValidYouTubeId(id)) {
+      return { id };
+    }
+    return null;
+  },
+  embed: (p) => `https://www.youtube.com/embed/${p.id}`,
+  thumbnail: (p) => `https://i.ytimg.com/vi/${p.id}/hqdefault.jpg`
+};
+
+const vimeo = {
+  name: "vimeo",
+  medium: "video",
+  match: (host) => host === "vimeo.com" || host === "player.vimeo.com",
+  parse(u) {
+    // vimeo.com/123, vimeo.com/channels/staffpicks/123, player.vimeo.com/video/123
+    const id = pathParts(u).find((part) => /^\d{5,}$/.test(part));
+    return id ? { id } : null;
+  },
+  embed: (p) => `https://player.vimeo.com/video/${p.id}`
+};
+
+const twitch = {
+  name: "twitch",
+  medium: "video",
+  match: (host) => host === "twitch.tv" || host === "clips.twitch.tv",
+  parse(u) {
+    const parts = pathParts(u);
+
+    // clips.twitch.tv/<slug>, twitch.tv/<channel>/clip/<slug>
+    if (u.hostname === "clips.twitch.tv" && parts[0]) return { id: parts[0], kind: "clip" };
+    if (parts[1] === "clip" && parts[2]) return { id: parts[2], kind: "clip" };
+
+    // twitch.tv/videos/<digits>
+    if (parts[0] === "videos" && /^\d+$/.test(parts[1] || "")) return { id: parts[1], kind: "video" };
+
+    return null;
+  },
+  // Twitch requires the embedding site's domain as ?parent=
+  embed: (p) =>
+    p.kind === "clip"
+      ? `https://clips.twitch.tv/embed?clip=${encodeURIComponent(p.id)}&parent=digg.com`
+      : `https://player.twitch.tv/?video=${p.id}&parent=digg.com`
+};
+
+const tiktok = {
+  name: "tiktok",
+  medium: "video",
+  match: (host) => host === "tiktok.com",
+  parse(u) {
+    // tiktok.com/@user/video/<digits>
+    const parts = pathParts(u);
+    const i = parts.indexOf("video");
+    const id = i >= 0 ? parts[i + 1] : null;
+    return id && /^\d+$/.test(id) ? { id } : null;
+  },
+  embed: (p) => `https://www.tiktok.com/embed/v2/${p.id}`
+};
+
+const redditVideo = {
+  name: "reddit",
+  medium: "video",
+  match: (host) => host === "v.redd.it",
+  parse(u) {
+    const id = pathParts(u)[0];
+    return id && /^[a-z0-9]+$/i.test(id) ? { id } : null;
+  },
+  // v.redd.it serves an HLS playlist per video; there is no stable player page
+  file: (p) => ({ url: `https://v.redd.it/${p.id}/HLSPlaylist.m3u8`, type: "application/vnd.apple.mpegurl" })
+};
+
+const applePodcasts = {
+  name: "apple-podcasts",
+  medium: "audio",
+  match: (host) => host === "podcasts.apple.com",
+  parse(u) {
+    // podcasts.apple.com/<cc>/podcast/<name>/id<show>?i=<episode>
+    const show = pathParts(u).find((part) => /^id\d+$/.test(part));
+    const episode = u.searchParams.get("i");
+    return show ? { id: episode || show, path: u.pathname, episode } : null;
+  },
+  embed: (p) => `https://embed.podcasts.apple.com${p.path}${p.episode ? `?i=${p.episode}` : ""}`
+};
+
+const spotify = {
+  name: "spotify",
+  medium: "audio",
+  match: (host) => host === "open.spotify.com",
+  parse(u) {
+    // open.spotify.com/episode/<id>, open.spotify.com/show/<id>
+    const [kind, id] = pathParts(u);
+    return (kind === "episode" || kind === "show") && /^[a-zA-Z0-9]{22}$/.test(id || "") ? { id, kind } : null;
+  },
+  embed: (p) => `https://open.spotify.com/embed/${p.kind}/${p.id}`
+};
+
+const AUDIO_TYPES = {
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  aac: "audio/aac",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/ogg",
+  wav: "audio/wav",
+  flac: "audio/flac"
+};
+
+// Any host: a link straight to an audio file (typical podcast episode)
+const audioFile = {
+  name: "audio",
+  medium: "audio",
+  match: () => true,
+  parse(u) {
+    const ext = (pathParts(u).pop() || "").split(".").pop().toLowerCase();
+    return AUDIO_TYPES[ext] ? { id: u.href, type: AUDIO_TYPES[ext] } : null;
+  },
+  file: (p) => ({ url: p.id, type: p.type })
+};
+
+export const PROVIDERS = [youtube, vimeo, twitch, tiktok, redditVideo, applePodcasts, spotify, audioFile];
+
+/**
+ * Detect embeddable media behind a link.
+ * Returns { provider, id, medium, embedUrl, url, type, thumbnail, duration } or null.
+ * `url`/`type` are only set for direct files; `duration` falls back to the
+ * page-level hint (e.g. og:video:duration) when the URL itself can't tell.
+ */
+export function detectMedia(urlStr, { duration: durationHint = null } = {}) {
+  if (!urlStr) return null;
+  let u;
+  try {
+    u = new URL(urlStr);
+  } catch {
+    return null;
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") return null;
+
+  const host = (u.hostname || "").replace(/^(www|m)\./, "").toLowerCase();
+
+  for (const provider of PROVIDERS) {
+    if (!provider.match(host)) continue;
+    const parsed = provider.parse(u);
+    if (!parsed) continue;
+
+    const file = provider.file ? provider.file(parsed) : null;
+    const duration = provider.duration?.(u, parsed) ?? durationHint;
+
+    return {
+      provider: provider.name,
+      id: parsed.id,
+      medium: provider.medium,
+      embedUrl: provider.embed ? provider.embed(parsed) : null,
+      url: file?.url || null,
+      type: file?.type || null,
+      thumbnail: provider.thumbnail ? provider.thumbnail(parsed) : null,
+      duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : null
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,104 @@
+// src/meta.js
+// Streaming <head> metadata reader (HTMLRewriter) — <meta> tags + JSON-LD, stops at <body>
+
+// Don't read more than this looking for </head> on pages that never close it
+const MAX_HEAD_BYTES = 512 * 1024;
+
+const ARTICLE_TYPES = new Set([
+  "article",
+  "newsarticle",
+  "blogposting",
+  "reportagenewsarticle",
+  "analysisnewsarticle",
+  "opinionnewsarticle",
+  "socialmediaposting",
+  "discussionforumposting",
+  "videoobject"
+]);
+
+function typesOf(node) {
+  const t = node?.["@type"];
+  return (Array.isArray(t) ? t : [t]).filter(Boolean).map((x) => String(x).toLowerCase());
+}
+
+// Flatten @graph / arrays into a list of JSON-LD nodes
+function jsonLdNodes(data) {
+  if (Array.isArray(data)) return data.flatMap(jsonLdNodes);
+  if (!data || typeof data !== "object") return [];
+  return [data, ...(Array.isArray(data["@graph"]) ? data["@graph"].flatMap(jsonLdNodes) : [])];
+}
+
+/**
+ * Read metadata from an HTML response without buffering the page.
+ *
+ * Returns { get(key), article } where
+ *   get(key)  first <meta> content for a name/property/itemprop (case-insensitive),
+ *             raw as it appears in the markup (entities NOT decoded), or ""
+ *   article   first JSON-LD Article-like node ({ description, image, datePublished, ... }) or null
+ *
+ * Attribute order and quoting don't matter (HTMLRewriter parses the tag).
+ * The body stream is cancelled as soon as <body> opens.
+ */
+export async function readHeadMeta(resp) {
+  const meta = new Map();
+  const ldBlocks = [];
+  let ldText = "";
+  let done = false;
+
+  const rewriter = new HTMLRewriter()
+    .on("meta", {
+      element(el) {
+        const key = el.getAttribute("property") || el.getAttribute("name") || el.getAttribute("itemprop");
+        const content = el.getAttribute("content");
+        if (!key || content == null) return;
+        const k = key.trim().toLowerCase();
+        if (!meta.has(k)) meta.set(k, content);
+      }
+    })
+    .on('script[type="application/ld+json"]', {
+      text(chunk) {
+        ldText += chunk.text;
+        if (chunk.lastInTextNode) {
+          ldBlocks.push(ldText);
+          ldText = "";
+        }
+      }
+    })
+    .on("body", {
+      element() {
+        done = true;
+      }
+    });
+
+  const reader = rewriter.transform(resp).body?.getReader();
+  if (reader) {
+    let bytes = 0;
+    try {
+      while (!done) {
+        const { value, done: eof } = await reader.read();
+        if (eof) break;
+        bytes += value?.byteLength || 0;
+        if (bytes >= MAX_HEAD_BYTES) break;
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  let article = null;
+  for (const block of ldBlocks) {
+    let data;
+    try {
+      data = JSON.parse(block);
+    } catch {
+      continue;
+    }
+    article = jsonLdNodes(data).find((node) => typesOf(node).some((t) => ARTICLE_TYPES.has(t))) || null;
+    if (article) break;
+  }
+
+  return {
+    get: (key) => meta.get(String(key).toLowerCase()) || "",
+    article
+  };
+}
@@ -0,0 +1,202 @@
+// src/pages.js
+// Browser-facing HTML — the feed directory at / and the ?html=1 preview of a feed
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only http(s) links are rendered as links
+function safeHref(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : "";
+  } catch {
+    return "";
+  }
+}
+
+const STYLE = `
+  :root { color-scheme: light dark; --muted: #6b7280; --line: #d1d5db; --accent: #2563eb; }
+  * { box-sizing: border-box; }
+  body { font: 16px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; max-width: 46rem; margin: 0 auto; padding: 1.5rem 1rem 4rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 .25rem; }
+  h2 { font-size: 1.15rem; margin: 2rem 0 .75rem; }
+  a { color: var(--accent); }
+  .muted { color: var(--muted); font-size: .9rem; }
+  .links a { margin-right: .75rem; }
+  ul.plain { list-style: none; padding: 0; margin: 0; }
+  ul.plain > li { padding: .6rem 0; border-bottom: 1px solid var(--line); }
+  article { padding: 1rem 0; border-bottom: 1px solid var(--line); display: flow-root; }
+  article h3 { font-size: 1.05rem; margin: 0 0 .25rem; }
+  article img { float: right; max-width: 8rem; max-height: 6rem; margin: 0 0 .5rem 1rem; border-radius: 4px; object-fit: cover; }
+  article p { margin: .35rem 0; }
+  form { display: grid; grid-template-columns: 9rem 1fr; gap: .5rem .75rem; align-items: center; }
+  form input[type=text], form input[type=number], form select { width: 100%; padding: .3rem .4rem; font: inherit; }
+  form .hint { grid-column: 2; margin-top: -.35rem; }
+  output { display: block; margin-top: 1rem; padding: .6rem; border: 1px solid var(--line); border-radius: 4px; word-break: break-all; font-family: ui-monospace, monospace; font-size: .9rem; }
+`;
+
+function page(title, body, head = "") {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>${head}
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Builds the feed URL from the form as the user types. Mirrors the query
+// parameters parseFeedRequest accepts; empty fields are left out.
+const BUILDER_SCRIPT = `
+(() => {
+  const form = document.getElementById("builder");
+  const out = document.getElementById("builder-url");
+  const exts = { rss: "xml", atom: "xml", json: "json" };
+  function update() {
+    const f = new FormData(form);
+    const format = f.get("format");
+    const slugs = String(f.get("communities") || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+    const url = new URL(location.origin + "/" + format + "/" + (slugs.join(",") || "all-digg-trending") + "." + exts[format]);
+    for (const name of ["sort", "window", "limit", "tldr", "include", "exclude", "domain", "excludeDomain"]) {
+      const v = String(f.get(name) || "").trim();
+      if (v) url.searchParams.set(name, v);
+    }
+    for (const name of ["strict", "full"]) if (f.get(name)) url.searchParams.set(name, "1");
+    const href = url.toString();
+    const preview = new URL(href);
+    preview.searchParams.set("html", "1");
+    out.innerHTML = "";
+    const a = document.createElement("a");
+    a.href = a.textContent = href;
+    const p = document.createElement("a");
+    p.href = preview.toString();
+    p.textContent = "preview";
+    out.append(a, " · ", p);
+  }
+  form.addEventListener("input", update);
+  form.addEventListener("submit", (e) => e.preventDefault());
+  update();
+})();
+`;
+
+/**
+ * Landing page: subscribe links for each community plus a URL builder.
+ *   communities  [{ slug, name?, description? }]
+ *   sorts        allowed ?sort= values, default first
+ *   maxLimit     highest ?limit= the worker accepts
+ */
+export function renderHomePage({ origin, communities, sorts, maxLimit }) {
+  const feedLinks = (slug) =>
+    `<span class="links"><a href="${escapeHtml(`${origin}/rss/${slug}.xml`)}">RSS</a><a href="${escapeHtml(
+      `${origin}/atom/${slug}.xml`
+    )}">Atom</a><a href="${escapeHtml(`${origin}/json/${slug}.json`)}">JSON Feed</a><a href="${escapeHtml(
+      `${origin}/rss/${slug}.xml?html=1`
+    )}">preview</a></span>`;
+
+  const items = [{ slug: "all-digg-trending", name: "All Digg (trending)" }, ...communities]
+    .map(
+      (c) => `<li><strong>${escapeHtml(c.name || c.slug)}</strong> <span class="muted">${escapeHtml(c.slug)}</span>${
+        c.description ? `<br><span class="muted">${escapeHtml(c.description)}</span>` : ""
+      }<br>${feedLinks(encodeURIComponent(c.slug))}</li>`
+    )
+    .join("\n");
+
+  const datalist = communities.map((c) => `<option value="${escapeHtml(c.slug)}">`).join("");
+  const sortOptions = sorts.map((s) => `<option>${escapeHtml(s)}</option>`).join("");
+
+  const body = `<h1>Digg feeds</h1>
+<p class="muted">RSS 2.0, Atom and JSON Feed for Digg communities — external links first, with a TL;DR from the Digg post.</p>
+<p>Subscribe to everything at once: <a href="/opml">OPML bundle</a> · <a href="/communities.json">communities.json</a></p>
+
+<h2>Communities</h2>
+<ul class="plain">
+${items}
+</ul>
+
+<h2>Build a feed URL</h2>
+<form id="builder">
+  <label for="b-format">Format</label>
+  <select id="b-format" name="format"><option value="rss">RSS 2.0</option><option value="atom">Atom 1.0</option><option value="json">JSON Feed 1.1</option></select>
+  <label for="b-communities">Communities</label>
+  <input id="b-communities" name="communities" type="text" list="community-slugs" placeholder="all-digg-trending">
+  <span class="hint muted">Comma-separated slugs merge several communities into one feed</span>
+  <datalist id="community-slugs">${datalist}</datalist>
+  <label for="b-sort">Sort</label>
+  <select id="b-sort" name="sort">${sortOptions}</select>
+  <label for="b-window">Window</label>
+  <input id="b-window" name="window" type="text" placeholder="e.g. 6h, 1d, 2w">
+  <label for="b-strict">Strict window</label>
+  <input id="b-strict" name="strict" type="checkbox">
+  <label for="b-limit">Limit</label>
+  <input id="b-limit" name="limit" type="number" min="1" max="${maxLimit}" placeholder="10">
+  <label for="b-tldr">TL;DR length</label>
+  <input id="b-tldr" name="tldr" type="number" min="80" max="500" placeholder="220">
+  <label for="b-full">Full articles</label>
+  <input id="b-full" name="full" type="checkbox">
+  <label for="b-include">Include</label>
+  <input id="b-include" name="include" type="text" placeholder="words or /regex/, comma-separated">
+  <label for="b-exclude">Exclude</label>
+  <input id="b-exclude" name="exclude" type="text" placeholder="words or /regex/, comma-separated">
+  <label for="b-domain">Only domains</label>
+  <input id="b-domain" name="domain" type="text" placeholder="example.com, …">
+  <label for="b-exclude-domain">Skip domains</label>
+  <input id="b-exclude-domain" name="excludeDomain" type="text" placeholder="example.com, …">
+</form>
+<output id="builder-url"></output>
+<script>${BUILDER_SCRIPT}</script>`;
+
+  return page("Digg feeds", body);
+}
+
+/**
+ * Readable view of a feed model (?html=1). `feedUrl` is the feed itself
+ * (without ?html=1), offered as the subscribe link.
+ */
+export function renderFeedPage({ title, link, items, feedUrl, contentType }) {
+  const entries = (items || [])
+    .map((it) => {
+      const href = safeHref(it.link);
+      const image = it.image?.url ? safeHref(it.image.url) : "";
+      const discuss = it.guid && it.guid !== it.link ? safeHref(it.guid) : "";
+      const meta = [
+        it.siteName ? escapeHtml(it.siteName) : "",
+        it.creator ? `by ${escapeHtml(it.creator)}` : "",
+        it.pubDate ? `<time datetime="${escapeHtml(new Date(it.pubDate).toISOString())}">${escapeHtml(
+          new Date(it.pubDate).toUTCString()
+        )}</time>` : "",
+        discuss ? `<a href="${escapeHtml(discuss)}">Discuss on Digg</a>` : ""
+      ].filter(Boolean);
+
+      return `<article>
+${image ? `<img src="${escapeHtml(image)}" alt="" loading="lazy">` : ""}<h3>${
+        href ? `<a href="${escapeHtml(href)}">${escapeHtml(it.title)}</a>` : escapeHtml(it.title)
+      }</h3>
+${it.summary && it.summary !== it.title ? `<p>${escapeHtml(it.summary)}</p>` : ""}
+<p class="muted">${meta.join(" · ")}</p>
+</article>`;
+    })
+    .join("\n");
+
+  const body = `<h1>${escapeHtml(title)}</h1>
+<p class="muted">Feed preview. Subscribe in your reader: <a href="${escapeHtml(feedUrl)}">${escapeHtml(feedUrl)}</a>
+· <a href="${escapeHtml(safeHref(link))}">${escapeHtml(link)}</a> · <a href="/">all feeds</a></p>
+${entries || `<p class="muted">No items right now.</p>`}`;
+
+  const alternate = `
+<link rel="alternate" type="${escapeHtml(contentType.split(";")[0])}" title="${escapeHtml(title)}" href="${escapeHtml(
+    feedUrl
+  )}">`;
+
+  return page(title, body, alternate);
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { communitiesPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+const JSON_ACCEPT = { headers: { accept: "application/json" } };
+
+const communityCalls = (calls) => calls.filter((c) => c.operationName === "CommunitiesQuery");
+
+describe("community checks", () => {
+  it("never treats a partly fetched list as the full one", async () => {
+    const calls = mockGraphql(({ operationName, variables }) => {
+      if (operationName === "CommunitiesQuery") {
+        if (variables.after) return [500, { errors: [{ message: "boom" }] }];
+        const page = communitiesPage(["tech"]);
+        page.data.communities.pageInfo = { hasNextPage: true, endCursor: "page-2" };
+        return page;
+      }
+      return postsPage([post("a", { community: "science" })]);
+    });
+
+    // "science" would be on the page that failed
+    const feed = await request("/rss/science.xml");
+    expect(feed.status).toBe(200);
+    expect(communityCalls(calls).length).toBeGreaterThan(1);
+
+    expect((await request("/communities.json", JSON_ACCEPT)).status).toBe(502);
+  });
+
+  it("looks the list up again before calling a slug unknown, at most once a minute", async () => {
+    let slugs = ["tech"];
+    const calls = mockGraphql(({ operationName }) =>
+      operationName === "CommunitiesQuery" ? communitiesPage(slugs) : postsPage([post("a", { community: "brand-new" })])
+    );
+
+    expect((await request("/communities.json")).status).toBe(200);
+    expect(communityCalls(calls)).toHaveLength(1);
+
+    // Created after the list was cached
+    slugs = ["brand-new", "tech"];
+    expect((await request("/rss/brand-new.xml")).status).toBe(200);
+    expect(communityCalls(calls)).toHaveLength(2);
+
+    const unknown = await request("/rss/tehc.xml", JSON_ACCEPT);
+    expect(unknown.status).toBe(404);
+    expect((await unknown.json()).error.message).toContain("Did you mean: tech?");
+    expect(communityCalls(calls)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { mockDiggPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+// Titles as the Digg API sends them -> what readers should see
+const TITLES = [
+  ["Apple&rsquo;s M5 chip &mdash; benchmarked", "Apple’s M5 chip — benchmarked"],
+  ["Caf&eacute Society returns", "Café Society returns"],
+  ["It&amp;#39;s back: the double-escaped apostrophe", "It's back: the double-escaped apostrophe"],
+  ["Don&#146;t panic (Windows-1252 reference)", "Don’t panic (Windows-1252 reference)"],
+  ["AT&T and R&D budgets both shrink", "AT&T and R&D budgets both shrink"],
+  ["Fish &amp; chips &hellip; and more", "Fish & chips … and more"],
+  ["&copy 2024 all rights &amp;mdash; reserved", "© 2024 all rights — reserved"],
+  ["Hex &#x2019;quotes&#x2019; and &#8220;decimal&#8221;", "Hex ’quotes’ and “decimal”"],
+  ["Unknown &madeup; stays as is", "Unknown &madeup; stays as is"]
+];
+
+describe("HTML entity decoding", () => {
+  it("decodes Digg titles the way a browser would", async () => {
+    const edges = TITLES.map(([title], i) => post(`t${i}`, { title }));
+    mockGraphql(() => postsPage(edges));
+
+    const feed = await (await request("/json/all-digg-trending.json")).json();
+
+    expect(feed.items.map((item) => item.title)).toEqual(TITLES.map(([, decoded]) => decoded));
+  });
+
+  it("decodes TL;DRs from the post page", async () => {
+    const edge = post("tldr");
+    mockGraphql(() => postsPage([edge]));
+    // Attribute value as it sits in the HTML: escaped once more by the page
+    mockDiggPage(edge, "The CEO&amp;rsquo;s memo &amp;mdash; leaked &amp;hellip;");
+
+    const feed = await (await request("/json/all-digg-trending.json")).json();
+
+    expect(feed.items[0].content_html).toContain("The CEO’s memo — leaked …");
+  });
+
+  it("decodes once, so escaped markup stays text in the HTML description", async () => {
+    const edge = post("markup", { title: "Why &lt;b&gt; beats &amp;lt;strong&amp;gt;", url: null });
+    const tldrEdge = post("script");
+    mockGraphql(() => postsPage([edge, tldrEdge]));
+    mockDiggPage(edge, "");
+    mockDiggPage(tldrEdge, "Sites that echo &amp;lt;script&amp;gt;alert(1)&amp;lt;/script&amp;gt; back");
+
+    const feed = await (await request("/json/all-digg-trending.json")).json();
+    const [markup, script] = feed.items;
+
+    expect(markup.title).toBe("Why <b> beats <strong>");
+    expect(markup.content_html).toBe("Why &lt;b&gt; beats &lt;strong&gt;");
+    expect(script.content_html).toContain("Sites that echo &lt;script&gt;alert(1)&lt;/script&gt; back");
+    expect(script.content_html).not.toContain("<script>");
+  });
+});
@@ -0,0 +1,80 @@
+import { env } from "cloudflare:test";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { communitiesPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// FEED_KV that counts last-known-good writes
+function countingKv() {
+  const kv = {
+    lkgWrites: 0,
+    get: (...args) => env.FEED_KV.get(...args),
+    delete: (...args) => env.FEED_KV.delete(...args),
+    put(key, ...rest) {
+      if (key.startsWith("lkg:")) kv.lkgWrites++;
+      return env.FEED_KV.put(key, ...rest);
+    }
+  };
+  return kv;
+}
+
+describe("stale-while-revalidate", () => {
+  it("rebuilds an expired feed once however many requests see it stale", async () => {
+    const edge = post("a");
+    const calls = mockGraphql(() => postsPage([edge]));
+    const FEED_KV = countingKv();
+    const path = "/rss/all-digg-trending.xml";
+
+    expect((await request(path, { bindings: { FEED_KV } })).headers.get("x-feed-cache")).toBe("MISS");
+    const buildCalls = calls.length;
+    expect(FEED_KV.lkgWrites).toBe(1);
+
+    // Past the fresh TTL; the edge copy is still there
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(Date.now() + 11 * 60 * 1000);
+
+    const responses = await Promise.all([1, 2, 3].map(() => request(path, { bindings: { FEED_KV } })));
+
+    expect(responses.map((r) => r.headers.get("x-feed-cache"))).toEqual(["STALE", "STALE", "STALE"]);
+    expect(calls.length).toBe(buildCalls * 2);
+    // Same posts, same ETag: the stored last-known-good copy is still current
+    expect(FEED_KV.lkgWrites).toBe(1);
+
+    expect((await request(path, { bindings: { FEED_KV } })).headers.get("x-feed-cache")).toBe("HIT");
+  });
+});
+
+describe("edge cache key", () => {
+  it("shares one copy between spellings of a feed, with the same self link", async () => {
+    mockGraphql(({ operationName }) =>
+      operationName === "CommunitiesQuery" ? communitiesPage(["science", "tech"]) : postsPage([post("a")])
+    );
+    const self = '<atom:link href="https://feeds.example/rss/tech,science.xml"';
+
+    const first = await request("/rss/foo.xml?communities=tech,science");
+    expect(first.headers.get("x-feed-cache")).toBe("MISS");
+    expect(await first.text()).toContain(self);
+
+    const second = await request("/rss/digg/tech,science.xml?sort=top");
+    expect(second.headers.get("x-feed-cache")).toBe("HIT");
+    expect(await second.text()).toContain(self);
+  });
+});
+
+describe("last-known-good copies", () => {
+  it("are kept for feeds with long filter lists", async () => {
+    mockGraphql(() => postsPage([post("a", { title: "Filtered in" })]));
+    const terms = Array.from({ length: 20 }, (_, i) => `${"x".repeat(90)}${i}`);
+
+    const resp = await request(`/rss/all-digg-trending.xml?exclude=${terms.join(",")}`);
+    expect(resp.status).toBe(200);
+
+    const { keys } = await env.FEED_KV.list({ prefix: "lkg:" });
+    expect(keys).toHaveLength(1);
+    expect(keys[0].name.length).toBeLessThanOrEqual(512);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+const TITLES = ["New AI model beats GPT-4", "He said the gpt5 rumours were false", "Rust 2.0 released", "Open source wins"];
+
+function feedWith(query) {
+  const edges = TITLES.map((title, i) => post(`f${i}`, { title, url: `https://${i % 2 ? "news.example.org" : "blog.example.com"}/${i}` }));
+  mockGraphql(() => postsPage(edges));
+  return request(`/json/all-digg-trending.json?${query}`, { headers: { accept: "application/json" } });
+}
+
+async function titles(query) {
+  const resp = await feedWith(query);
+  expect(resp.status).toBe(200);
+  return (await resp.json()).items.map((item) => item.title);
+}
+
+describe("feed filters", () => {
+  it("matches whole words, case-insensitively, by default", async () => {
+    expect(await titles("include=ai")).toEqual(["New AI model beats GPT-4"]);
+    expect(await titles("exclude=ai,rust")).toEqual(["He said the gpt5 rumours were false", "Open source wins"]);
+    expect(await titles("include=open%20source")).toEqual(["Open source wins"]);
+  });
+
+  it("accepts regexes from the safe subset", async () => {
+    expect(await titles(`include=${encodeURIComponent("/gpt-?\\d/")}`)).toEqual([
+      "New AI model beats GPT-4",
+      "He said the gpt5 rumours were false"
+    ]);
+    expect(await titles(`include=${encodeURIComponent("/^(?:rust|open) /")}`)).toEqual(["Rust 2.0 released", "Open source wins"]);
+  });
+
+  it("filters by domain", async () => {
+    expect(await titles("domain=example.org")).toEqual(["He said the gpt5 rumours were false", "Open source wins"]);
+    expect(await titles("excludeDomain=news.example.org")).toEqual(["New AI model beats GPT-4", "Rust 2.0 released"]);
+  });
+
+  it.each([
+    ["/(.*a){12}z/", "a repeated group"],
+    ["/(a+)+$/", "a repeated group"],
+    ["/(a|aa)*b/", "a repeated group"],
+    ["/(\\w)\\1/", "backreferences"],
+    ["/(?=a)b/", "lookarounds"],
+    ["/a*b*c*d/", "open-ended quantifiers"],
+    ["/a?a?a?a?a?aaaaa/", "quantifiers"],
+    ["/.{0,10}.{0,10}.{0,10}.{0,10}x/", "more than 100 ways"],
+    [`/${"x".repeat(41)}/`, "longer than"]
+  ])("rejects %s up front", async (pattern, reason) => {
+    const started = Date.now();
+    const resp = await feedWith(`include=${encodeURIComponent(pattern)}`);
+
+    expect(resp.status).toBe(400);
+    expect((await resp.json()).error.message).toContain(reason);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it("caps the number of regex filters", async () => {
+    const terms = ["/a/", "/b/", "/c/", "/d/", "/e/", "/f/"].map(encodeURIComponent);
+    const resp = await feedWith(`include=${terms.slice(0, 3).join("&include=")}&exclude=${terms.slice(3).join("&exclude=")}`);
+
+    expect(resp.status).toBe(400);
+    expect((await resp.json()).error.message).toContain("At most 5 /regex/ filters");
+  });
+});
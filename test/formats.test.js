@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { communitiesPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+describe("feed formats", () => {
+  it("dates undated posts with the build time instead of failing the feed", async () => {
+    mockGraphql(() => postsPage([post("undated", { createdDate: "" }), post("garbled", { createdDate: "not a date" })]));
+    const before = Date.now();
+
+    for (const path of ["/rss/all-digg-trending.xml", "/atom/all-digg-trending.xml", "/json/all-digg-trending.json"]) {
+      const resp = await request(path);
+      expect(resp.status).toBe(200);
+      expect(await resp.text()).not.toContain("Invalid Date");
+    }
+
+    const feed = await (await request("/json/all-digg-trending.json?limit=5")).json();
+    for (const item of feed.items) {
+      expect(Date.parse(item.date_published)).toBeGreaterThanOrEqual(before - 1000);
+    }
+  });
+
+  it("points self links at the feed that was asked for, minus ?limit", async () => {
+    mockGraphql(({ operationName, variables }) =>
+      operationName === "CommunitiesQuery"
+        ? communitiesPage(["science", "tech"])
+        : postsPage([post("a", { community: variables.where?.communitySlug || "tech" })])
+    );
+    const selfLink = async (path) =>
+      (await (await request(path)).text()).match(/<atom:link href="([^"]+)"/)[1].replaceAll("&amp;", "&");
+
+    expect(await selfLink("/rss/foo.xml?communities=tech,science&limit=5")).toBe("https://feeds.example/rss/tech,science.xml");
+    expect(await selfLink("/rss/digg/tech.xml?window=24h&include=AI&full=1")).toBe(
+      "https://feeds.example/rss/tech.xml?window=1d&full=1&include=ai"
+    );
+
+    const atom = await (await request("/atom/tech.xml?exclude=rust&domain=example.com&tldr=300")).text();
+    const id = "https://feeds.example/atom/tech.xml?tldr=300&amp;exclude=rust&amp;domain=example.com";
+    expect(atom).toContain(`<link rel="self" type="application/atom+xml" href="${id}" />`);
+    expect(atom).toContain(`<id>${id}</id>`);
+
+    const json = await (await request("/json/all-digg-trending.json?limit=3&sort=top")).json();
+    expect(json.feed_url).toBe("https://feeds.example/json/all-digg-trending.json");
+  });
+});
@@ -0,0 +1,133 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createCircuitBreaker, createGraphqlClient } from "../src/graphql.js";
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+// Answers upstream calls in order; the last answer repeats
+function stubFetch(...answers) {
+  const queue = answers.map(([status, json, headers = {}]) => () => Response.json(json, { status, headers }));
+  return vi.spyOn(globalThis, "fetch").mockImplementation(async () => (queue.length > 1 ? queue.shift() : queue[0])());
+}
+
+const OK = [200, { data: { ok: true } }];
+const BUSY = [503, { errors: [{ message: "busy" }] }];
+
+function client(options = {}) {
+  const events = [];
+  const gql = createGraphqlClient({
+    endpoint: "https://graphql.example/",
+    onEvent: (event, fields) => events.push({ event, ...fields }),
+    ...options
+  });
+  return { gql, events };
+}
+
+describe("circuit breaker", () => {
+  const T = 1_000_000;
+
+  it("opens after failureThreshold failures in a row", () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 10_000 });
+
+    breaker.recordFailure(0, T);
+    breaker.recordFailure(0, T);
+    expect(breaker.isOpen(T)).toBe(false);
+    expect(breaker.allow(T)).toBe(true);
+
+    breaker.recordFailure(0, T);
+    expect(breaker.isOpen(T)).toBe(true);
+    expect(breaker.allow(T + 9_999)).toBe(false);
+    expect(breaker.retryInMs(T)).toBe(10_000);
+  });
+
+  it("closes when the half-open trial succeeds", () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10_000 });
+    breaker.recordFailure(0, T);
+
+    expect(breaker.allow(T + 10_000)).toBe(true);
+    // One trial at a time
+    expect(breaker.allow(T + 10_001)).toBe(false);
+    expect(breaker.isOpen(T + 10_001)).toBe(true);
+
+    breaker.recordSuccess();
+    expect(breaker.isOpen(T + 10_001)).toBe(false);
+    expect(breaker.allow(T + 10_001)).toBe(true);
+  });
+
+  it("re-opens for a full cooldown when the trial fails", () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 10_000 });
+    breaker.recordFailure(0, T);
+    breaker.recordFailure(0, T);
+
+    expect(breaker.allow(T + 10_000)).toBe(true);
+    breaker.recordFailure(0, T + 10_500);
+    expect(breaker.allow(T + 20_499)).toBe(false);
+    expect(breaker.allow(T + 20_500)).toBe(true);
+  });
+
+  it("frees the trial slot when the trial never reports back", () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10_000, probeTimeoutMs: 5_000 });
+    breaker.recordFailure(0, T);
+
+    // The trial's invocation is cancelled before it records anything
+    expect(breaker.allow(T + 10_000)).toBe(true);
+    expect(breaker.allow(T + 14_999)).toBe(false);
+    expect(breaker.isOpen(T + 14_999)).toBe(true);
+
+    expect(breaker.isOpen(T + 15_000)).toBe(false);
+    expect(breaker.allow(T + 15_000)).toBe(true);
+  });
+});
+
+describe("graphql client", () => {
+  it("waits exactly Retry-After before retrying", async () => {
+    vi.useFakeTimers();
+    const fetch = stubFetch([429, { errors: [{ message: "slow down" }] }, { "retry-after": "2" }], OK);
+    const { gql, events } = client();
+
+    const pending = gql.request("Q", "{ ok }", {});
+    await vi.advanceTimersByTimeAsync(1_999);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    expect(await pending).toEqual({ data: { ok: true } });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(events).toMatchObject([{ event: "graphql.retry", attempt: 1, delayMs: 2000 }]);
+  });
+
+  it("gives up at once on a Retry-After too long to wait out, and stays open for it", async () => {
+    stubFetch([503, { errors: [{ message: "maintenance" }] }, { "retry-after": "120" }]);
+    const { gql, events } = client();
+
+    const result = await gql.request("Q", "{ ok }", {});
+    expect(result.error).toEqual([{ message: "maintenance" }]);
+    expect(events.map((e) => e.event)).toEqual(["graphql.circuit_open"]);
+    expect(gql.breaker.retryInMs()).toBeGreaterThan(100_000);
+  });
+
+  it("refuses requests locally once the breaker opens", async () => {
+    vi.useFakeTimers();
+    const fetch = stubFetch(BUSY);
+    const { gql, events } = client({ breaker: createCircuitBreaker({ failureThreshold: 2 }) });
+
+    const pending = gql.request("Q", "{ ok }", {});
+    await vi.runAllTimersAsync();
+    expect(await pending).toMatchObject({ error: [{ message: "busy" }], circuitOpen: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(events.map((e) => e.event)).toContain("graphql.circuit_open");
+
+    expect(await gql.request("Q", "{ ok }", {})).toMatchObject({ circuitOpen: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("treats GraphQL errors as a healthy upstream", async () => {
+    stubFetch([400, { errors: [{ message: 'Cannot query field "x"' }] }]);
+    const { gql, events } = client({ breaker: createCircuitBreaker({ failureThreshold: 1 }) });
+
+    expect(await gql.request("Q", "{ x }", {})).toEqual({ error: [{ message: 'Cannot query field "x"' }], status: 400 });
+    expect(gql.breaker.isOpen()).toBe(false);
+    expect(events).toEqual([]);
+  });
+});
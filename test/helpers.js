@@ -0,0 +1,128 @@
+// test/helpers.js
+// Fake Digg upstream (GraphQL + post pages) and a one-call way to run the worker
+
+import { createExecutionContext, env, fetchMock, waitOnExecutionContext } from "cloudflare:test";
+import { beforeAll, beforeEach } from "vitest";
+import worker from "../src/index.js";
+
+const GRAPHQL_ORIGIN = "https://apineapple-prod.digg.com";
+
+// What the fake upstream answers; reset before every test. fetchMock
+// interceptors can't be removed once registered, so they're registered once
+// and read from here.
+const upstream = { graphql: null, calls: [], pages: new Map() };
+
+function jsonReply(status, body) {
+  return { statusCode: status, data: JSON.stringify(body), responseOptions: { headers: { "content-type": "application/json" } } };
+}
+
+/**
+ * Route the worker's outbound requests to the fake upstream for every test
+ * in the calling file. Nothing else may reach the network.
+ */
+export function useFakeUpstream() {
+  beforeAll(() => {
+    fetchMock.activate();
+    fetchMock.disableNetConnect();
+
+    fetchMock
+      .get(GRAPHQL_ORIGIN)
+      .intercept({ path: "/graphql", method: "POST" })
+      .reply((opts) => {
+        const body = JSON.parse(opts.body);
+        upstream.calls.push(body);
+        const result = upstream.graphql ? upstream.graphql(body) : { errors: [{ message: "no handler" }] };
+        return Array.isArray(result) ? jsonReply(...result) : jsonReply(200, result);
+      })
+      .persist();
+
+    fetchMock
+      .get("https://digg.com")
+      .intercept({ path: () => true })
+      .reply((opts) => {
+        const page = upstream.pages.get(opts.path);
+        if (!page) return { statusCode: 404, data: "" };
+        page.count++;
+        return { statusCode: 200, data: page.html, responseOptions: { headers: { "content-type": "text/html; charset=utf-8" } } };
+      })
+      .persist();
+  });
+
+  beforeEach(() => {
+    upstream.graphql = null;
+    upstream.calls = [];
+    upstream.pages.clear();
+  });
+}
+
+/**
+ * Answer GraphQL with `handler({ operationName, query, variables })`, which
+ * returns the JSON body ({ data } or { errors }) or a [status, body] pair.
+ * Returns the list of requests seen, in order.
+ */
+export function mockGraphql(handler) {
+  upstream.graphql = handler;
+  upstream.calls = [];
+  return upstream.calls;
+}
+
+// A posts edge as the GraphQL API returns it
+export function post(id, { community = "tech", title = `Post ${id}`, url = `https://example.org/${id}`, ...rest } = {}) {
+  return {
+    node: {
+      _id: `${community}-${id}`,
+      title,
+      slug: `post-${id}`,
+      createdDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      externalContent: url ? { url } : null,
+      community: { name: community, slug: community },
+      account: { username: "someone" },
+      ...rest
+    }
+  };
+}
+
+export function diggLink(edge) {
+  const { _id, slug, community } = edge.node;
+  return `https://digg.com/${community.slug}/${_id.slice(community.slug.length + 1)}/${slug}`;
+}
+
+// { data: { posts } } for one page of edges
+export function postsPage(edges) {
+  return { data: { posts: { edges, pageInfo: { hasNextPage: false, endCursor: null } } } };
+}
+
+export function communitiesPage(slugs) {
+  const edges = slugs.map((slug) => ({ node: { name: slug, slug, description: "" } }));
+  return { data: { communities: { edges, pageInfo: { hasNextPage: false, endCursor: null } } } };
+}
+
+/**
+ * Serve a Digg post page with the given og:description, plus any other
+ * og: properties in `og` (e.g. { image, "image:type" }). Returns { count }
+ * of how often it was fetched.
+ */
+export function mockDiggPage(edge, description, og = {}) {
+  const extra = Object.entries(og).map(([name, content]) => `\n<meta property="og:${name}" content="${content}">`);
+  const page = {
+    count: 0,
+    html: `<!doctype html><html><head>
+<meta property="og:description" content="${description}">
+<meta property="og:site_name" content="Example">${extra.join("")}
+</head><body></body></html>`
+  };
+  upstream.pages.set(new URL(diggLink(edge)).pathname, page);
+  return page;
+}
+
+/**
+ * Run one request through the worker and wait for its waitUntil work
+ * (cache and KV writes). `bindings` override the test env, e.g. to drop
+ * TLDR_KV or pass a stub FEED_ANALYTICS.
+ */
+export async function request(path, { bindings = {}, ...init } = {}) {
+  const ctx = createExecutionContext();
+  const resp = await worker.fetch(new Request(`https://feeds.example${path}`, init), { ...env, ...bindings }, ctx);
+  await waitOnExecutionContext(ctx);
+  return resp;
+}
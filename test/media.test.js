@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { detectMedia } from "../src/media.js";
+import { mockDiggPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+describe("detectMedia", () => {
+  it.each([
+    ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", "dQw4w9WgXcQ"],
+    ["https://m.youtube.com/watch?v=dQw4w9WgXcQ&t=42", "dQw4w9WgXcQ"],
+    ["https://youtu.be/dQw4w9WgXcQ?si=abc", "dQw4w9WgXcQ"],
+    ["https://www.youtube.com/shorts/aqz-KE-bpKQ", "aqz-KE-bpKQ"],
+    ["https://www.youtube.com/live/jfKfPfyJRdk", "jfKfPfyJRdk"],
+    ["https://music.youtube.com/watch?v=dQw4w9WgXcQ", "dQw4w9WgXcQ"]
+  ])("youtube: %s", (url, id) => {
+    expect(detectMedia(url)).toEqual({
+      provider: "youtube",
+      id,
+      medium: "video",
+      embedUrl: `https://www.youtube.com/embed/${id}`,
+      url: null,
+      type: null,
+      thumbnail: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+      duration: null
+    });
+  });
+
+  it("doesn't take look-alike hosts for YouTube", () => {
+    expect(detectMedia("https://notyoutube.com/watch?v=dQw4w9WgXcQ")).toBeNull();
+    expect(detectMedia("https://youtube.com.example.org/watch?v=dQw4w9WgXcQ")).toBeNull();
+    expect(detectMedia("https://www.youtube.com/watch?v=short")).toBeNull();
+  });
+
+  it.each([
+    ["https://vimeo.com/76979871", "76979871"],
+    ["https://vimeo.com/channels/staffpicks/123456789", "123456789"],
+    ["https://player.vimeo.com/video/76979871?h=abc", "76979871"]
+  ])("vimeo: %s", (url, id) => {
+    expect(detectMedia(url)).toMatchObject({
+      provider: "vimeo",
+      id,
+      medium: "video",
+      embedUrl: `https://player.vimeo.com/video/${id}`
+    });
+  });
+
+  it("twitch clips and videos", () => {
+    expect(detectMedia("https://clips.twitch.tv/FunnyClipName-abc123")).toMatchObject({
+      provider: "twitch",
+      id: "FunnyClipName-abc123",
+      embedUrl: "https://clips.twitch.tv/embed?clip=FunnyClipName-abc123&parent=digg.com"
+    });
+    expect(detectMedia("https://www.twitch.tv/somechannel/clip/OtherClip")).toMatchObject({ id: "OtherClip" });
+    expect(detectMedia("https://www.twitch.tv/videos/2034567890")).toMatchObject({
+      provider: "twitch",
+      id: "2034567890",
+      embedUrl: "https://player.twitch.tv/?video=2034567890&parent=digg.com"
+    });
+    // A channel page isn't one playable item
+    expect(detectMedia("https://www.twitch.tv/somechannel")).toBeNull();
+  });
+
+  it("tiktok videos", () => {
+    expect(detectMedia("https://www.tiktok.com/@someone/video/7301234567890123456?lang=en")).toMatchObject({
+      provider: "tiktok",
+      id: "7301234567890123456",
+      embedUrl: "https://www.tiktok.com/embed/v2/7301234567890123456"
+    });
+    expect(detectMedia("https://www.tiktok.com/@someone")).toBeNull();
+  });
+
+  it("reddit videos as an HLS file", () => {
+    expect(detectMedia("https://v.redd.it/abc123xyz")).toMatchObject({
+      provider: "reddit",
+      medium: "video",
+      embedUrl: null,
+      url: "https://v.redd.it/abc123xyz/HLSPlaylist.m3u8",
+      type: "application/vnd.apple.mpegurl"
+    });
+  });
+
+  it("apple podcasts shows and episodes", () => {
+    const episode = "https://podcasts.apple.com/us/podcast/the-daily/id1200361736?i=1000650000000";
+    expect(detectMedia(episode)).toMatchObject({
+      provider: "apple-podcasts",
+      id: "1000650000000",
+      medium: "audio",
+      embedUrl: "https://embed.podcasts.apple.com/us/podcast/the-daily/id1200361736?i=1000650000000"
+    });
+    expect(detectMedia("https://podcasts.apple.com/us/podcast/the-daily/id1200361736")).toMatchObject({
+      id: "id1200361736",
+      embedUrl: "https://embed.podcasts.apple.com/us/podcast/the-daily/id1200361736"
+    });
+  });
+
+  it("spotify episodes and shows", () => {
+    expect(detectMedia("https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk?si=x")).toMatchObject({
+      provider: "spotify",
+      medium: "audio",
+      embedUrl: "https://open.spotify.com/embed/episode/4rOoJ6Egrf8K2IrywzwOMk"
+    });
+    expect(detectMedia("https://open.spotify.com/show/2MAi0BvDc6GTFvKFPXnkCL")).toMatchObject({
+      embedUrl: "https://open.spotify.com/embed/show/2MAi0BvDc6GTFvKFPXnkCL"
+    });
+    expect(detectMedia("https://open.spotify.com/track/4rOoJ6Egrf8K2IrywzwOMk")).toBeNull();
+  });
+
+  it("direct audio files on any host", () => {
+    expect(detectMedia("https://cdn.example.org/shows/ep42.mp3", { duration: 1834.6 })).toEqual({
+      provider: "audio",
+      id: "https://cdn.example.org/shows/ep42.mp3",
+      medium: "audio",
+      embedUrl: null,
+      url: "https://cdn.example.org/shows/ep42.mp3",
+      type: "audio/mpeg",
+      thumbnail: null,
+      duration: 1835
+    });
+    expect(detectMedia("https://cdn.example.org/ep.m4a")).toMatchObject({ type: "audio/mp4" });
+  });
+
+  it("returns null for ordinary links and junk", () => {
+    expect(detectMedia("https://example.org/article")).toBeNull();
+    expect(detectMedia("not a url")).toBeNull();
+    expect(detectMedia("ftp://example.org/ep.mp3")).toBeNull();
+    expect(detectMedia("")).toBeNull();
+  });
+});
+
+describe("hero images", () => {
+  it("gives enclosures the image's real MIME type, and none when it's unknown", async () => {
+    const edges = ["declared", "by-extension", "unknown"].map((id) => post(id));
+    mockGraphql(() => postsPage(edges));
+    mockDiggPage(edges[0], "a", { image: "https://cdn.example/img/1", "image:type": "image/webp" });
+    mockDiggPage(edges[1], "b", { image: "https://cdn.example/img/2.png" });
+    mockDiggPage(edges[2], "c", { image: "https://cdn.example/img/3" });
+
+    const xml = await (await request("/rss/all-digg-trending.xml")).text();
+    const items = xml.split("<item>").slice(1);
+
+    expect(items[0]).toContain('<enclosure url="https://cdn.example/img/1" type="image/webp"');
+    expect(items[1]).toContain('<enclosure url="https://cdn.example/img/2.png" type="image/png"');
+    expect(items[2]).not.toContain("<enclosure");
+    expect(items[2]).toContain('<media:content url="https://cdn.example/img/3" medium="image" />');
+    expect(items[2]).toContain('<media:thumbnail url="https://cdn.example/img/3" />');
+  });
+});
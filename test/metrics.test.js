@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// Stand-in for the Analytics Engine binding
+function analyticsStub() {
+  const points = [];
+  return { points, writeDataPoint: (point) => points.push(point) };
+}
+
+describe("feed metrics", () => {
+  it("writes one data point per feed request", async () => {
+    mockGraphql(() => postsPage([post("a"), post("b")]));
+    const FEED_ANALYTICS = analyticsStub();
+
+    await request("/atom/all-digg-trending.xml?limit=2", { bindings: { FEED_ANALYTICS } });
+    await request("/atom/all-digg-trending.xml?limit=2", { bindings: { FEED_ANALYTICS } });
+
+    expect(FEED_ANALYTICS.points).toHaveLength(2);
+    const [miss, hit] = FEED_ANALYTICS.points;
+
+    expect(miss.indexes).toEqual(["atom:all-digg-trending"]);
+    expect(miss.blobs).toEqual(["MISS", "atom", "top", ""]);
+    const [upstreamMs, items, status, totalMs] = miss.doubles;
+    expect(upstreamMs).toBeGreaterThanOrEqual(0);
+    expect([items, status]).toEqual([2, 200]);
+    expect(totalMs).toBeGreaterThanOrEqual(upstreamMs);
+
+    expect(hit.blobs[0]).toBe("HIT");
+    // Served from cache: no upstream time
+    expect(hit.doubles.slice(0, 3)).toEqual([0, 2, 200]);
+  });
+
+  it("skips non-feed requests and works without the binding", async () => {
+    mockGraphql(() => postsPage([post("a")]));
+    const FEED_ANALYTICS = analyticsStub();
+
+    await request("/nope", { bindings: { FEED_ANALYTICS } });
+    expect(FEED_ANALYTICS.points).toHaveLength(0);
+
+    expect((await request("/rss/all-digg-trending.xml", { bindings: { FEED_ANALYTICS: undefined } })).status).toBe(200);
+  });
+
+  it("applies LOG_LEVEL to the GraphQL client's retry logs", async () => {
+    let failures = 1;
+    const upstream = () => (failures-- > 0 ? [503, { errors: [{ message: "busy" }] }] : postsPage([post("a")]));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const retries = () => warn.mock.calls.filter(([line]) => JSON.parse(line).event === "graphql.retry");
+
+    mockGraphql(upstream);
+    await request("/rss/all-digg-trending.xml?limit=3", { bindings: { LOG_LEVEL: "error" } });
+    expect(retries()).toHaveLength(0);
+
+    failures = 1;
+    mockGraphql(upstream);
+    await request("/rss/all-digg-trending.xml?limit=4", { bindings: { LOG_LEVEL: "warn" } });
+    expect(retries()).toHaveLength(1);
+  });
+});
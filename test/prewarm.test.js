@@ -0,0 +1,44 @@
+import { createExecutionContext, createScheduledController, env, waitOnExecutionContext } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import worker from "../src/index.js";
+import { mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+describe("cron pre-warming", () => {
+  it("keeps going when one feed's KV write fails", async () => {
+    const calls = mockGraphql(() => postsPage([post("a")]));
+
+    // FEED_KV whose first prewarm write fails
+    let failed = false;
+    const FEED_KV = {
+      get: (...args) => env.FEED_KV.get(...args),
+      delete: (...args) => env.FEED_KV.delete(...args),
+      put(key, ...rest) {
+        if (key.startsWith("feed:") && !failed) {
+          failed = true;
+          return Promise.reject(new Error("KV write limit"));
+        }
+        return env.FEED_KV.put(key, ...rest);
+      }
+    };
+    const PREWARM_FEEDS = JSON.stringify([
+      { slug: "all-digg-trending", limit: 5 },
+      { slug: "all-digg-trending", limit: 6 }
+    ]);
+
+    const ctx = createExecutionContext();
+    await worker.scheduled(createScheduledController(), { ...env, FEED_KV, PREWARM_FEEDS }, ctx);
+    await waitOnExecutionContext(ctx);
+
+    expect(failed).toBe(true);
+    expect((await env.FEED_KV.list({ prefix: "feed:" })).keys).toHaveLength(1);
+
+    // The second feed is served from its stored model, the first is built
+    calls.length = 0;
+    await request("/rss/all-digg-trending.xml?limit=6");
+    expect(calls).toHaveLength(0);
+    await request("/rss/all-digg-trending.xml?limit=5");
+    expect(calls.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,64 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { communitiesPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+const postsCalls = (calls) => calls.filter((c) => c.operationName === "PostsQuery");
+
+// Upstream that only takes where: { community: { slug } } and rejects NEWEST
+// with a validation error that has nothing to do with the filter
+function pickyUpstream() {
+  return mockGraphql(({ operationName, variables }) => {
+    if (operationName === "CommunitiesQuery") return communitiesPage(["gaming", "tech"]);
+    if (operationName === "PostSortQuery") return { data: { __type: { enumValues: [{ name: "TOP_N" }, { name: "NEWEST" }] } } };
+
+    if (variables.sort === "NEWEST") {
+      return [400, { errors: [{ message: 'Variable "$sort" got invalid value "NEWEST"; Value "NEWEST" does not exist in "PostSort" enum.' }] }];
+    }
+    const slug = variables.where.community?.slug;
+    if (!slug) {
+      const field = Object.keys(variables.where).find((k) => k !== "createdDate_GT");
+      return [400, { errors: [{ message: `Variable "$where" got invalid value; Field "${field}" is not defined by type "PostWhere".` }] }];
+    }
+    return postsPage([post("a", { community: slug })]);
+  });
+}
+
+describe("learned query shape", () => {
+  it("keeps the where-shape when upstream rejects something else", async () => {
+    const calls = pickyUpstream();
+
+    expect((await request("/rss/tech.xml")).status).toBe(200);
+    expect(await env.FEED_KV.get("gql:query-shape", "json")).toEqual({ whereVariant: "community.slug", withAccount: true });
+
+    calls.length = 0;
+    const rejected = await request("/rss/tech.xml?sort=newest");
+    expect(rejected.status).toBe(400);
+    // The learned shape, with and without the author field; no other shapes, no wider windows
+    expect(postsCalls(calls)).toHaveLength(2);
+    expect(await env.FEED_KV.get("gql:query-shape", "json")).toEqual({ whereVariant: "community.slug", withAccount: true });
+
+    calls.length = 0;
+    expect((await request("/rss/gaming.xml")).status).toBe(200);
+    const wheres = postsCalls(calls).map((c) => c.variables.where);
+    expect(wheres.every((where) => where.community?.slug === "gaming")).toBe(true);
+  });
+
+  it("remembers that the schema has no author field", async () => {
+    const calls = mockGraphql(({ query }) =>
+      query.includes("account {")
+        ? [400, { errors: [{ message: 'Cannot query field "account" on type "Post".' }] }]
+        : postsPage([post("a")])
+    );
+
+    const first = await (await request("/json/all-digg-trending.json")).json();
+    expect(first.items).toHaveLength(1);
+    expect(await env.FEED_KV.get("gql:query-shape", "json")).toMatchObject({ withAccount: false });
+
+    calls.length = 0;
+    await request("/json/all-digg-trending.json?limit=5");
+    expect(postsCalls(calls).length).toBeGreaterThan(0);
+    expect(postsCalls(calls).some((c) => c.query.includes("account {"))).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { communitiesPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+const AUTH = { authorization: "Bearer test-token", "content-type": "application/json", accept: "application/json" };
+
+function upstream() {
+  return mockGraphql(({ operationName, variables }) => {
+    if (operationName === "CommunitiesQuery") return communitiesPage(["gaming", "science", "tech"]);
+    const slug = variables.where.communitySlug;
+    return postsPage([post("a", { community: slug || "tech" })]);
+  });
+}
+
+function api(path, method = "GET", body) {
+  return request(path, { method, headers: AUTH, body: body && JSON.stringify(body) });
+}
+
+describe("saved feeds API", () => {
+  it("needs the bearer token", async () => {
+    const resp = await request("/feeds", { headers: { accept: "application/json" } });
+    expect(resp.status).toBe(401);
+    expect(resp.headers.get("www-authenticate")).toContain("Bearer");
+  });
+
+  it("creates, reads, lists, replaces and deletes a definition", async () => {
+    upstream();
+
+    const created = await api("/feeds", "POST", { name: "Tech news", communities: ["tech"], limit: 5 });
+    expect(created.status).toBe(201);
+    const def = await created.json();
+    expect(def).toMatchObject({ name: "Tech news", format: "rss", params: { communities: ["tech"], limit: 5 } });
+    expect(def.url).toBe(`https://feeds.example/f/${def.id}.xml`);
+    expect(created.headers.get("location")).toBe(def.url);
+
+    expect(await (await api(`/feeds/${def.id}`)).json()).toMatchObject({ id: def.id, name: "Tech news" });
+    expect((await (await api("/feeds")).json()).feeds).toEqual([
+      expect.objectContaining({ id: def.id, name: "Tech news", format: "rss", url: def.url })
+    ]);
+
+    const feed = await request(`/f/${def.id}.xml`);
+    expect(feed.status).toBe(200);
+    expect(await feed.text()).toContain("<title><![CDATA[Tech news]]></title>");
+
+    const replaced = await api(`/feeds/${def.id}`, "PUT", { name: "Science", communities: "science", format: "json" });
+    expect(await replaced.json()).toMatchObject({ id: def.id, format: "json", url: `https://feeds.example/f/${def.id}.json` });
+    expect((await request(`/f/${def.id}.xml`)).status).toBe(404);
+    expect((await request(`/f/${def.id}.json`)).status).toBe(200);
+
+    expect((await api(`/feeds/${def.id}`, "DELETE")).status).toBe(204);
+    expect((await api(`/feeds/${def.id}`)).status).toBe(404);
+    expect((await request(`/f/${def.id}.json`)).status).toBe(404);
+  });
+
+  it("drops a definition's last-known-good copies when it is replaced or deleted", async () => {
+    upstream();
+    const def = await (await api("/feeds", "POST", { communities: "tech" })).json();
+
+    await request(`/f/${def.id}.xml`);
+    expect((await env.FEED_KV.list({ prefix: "lkg:" })).keys).toHaveLength(1);
+
+    await api(`/feeds/${def.id}`, "PUT", { communities: "gaming" });
+    await request(`/f/${def.id}.xml`);
+    const { keys } = await env.FEED_KV.list({ prefix: "lkg:" });
+    expect(keys).toHaveLength(1);
+    const { model } = await env.FEED_KV.get(keys[0].name, "json");
+    expect(model.items[0].guid).toContain("digg.com/gaming/");
+
+    await api(`/feeds/${def.id}`, "DELETE");
+    expect((await env.FEED_KV.list({ prefix: "lkg:" })).keys).toHaveLength(0);
+  });
+
+  it("rejects communities Digg doesn't have, with suggestions", async () => {
+    upstream();
+
+    const created = await api("/feeds", "POST", { communities: "sciense" });
+    expect(created.status).toBe(400);
+    expect((await created.json()).error.message).toContain("Did you mean: science");
+
+    const def = await (await api("/feeds", "POST", { communities: "tech" })).json();
+    const replaced = await api(`/feeds/${def.id}`, "PUT", { communities: "nonexistent-x" });
+    expect(replaced.status).toBe(400);
+    expect((await request(`/f/${def.id}.xml`)).status).toBe(200);
+  });
+
+  it("rejects invalid options with 400", async () => {
+    upstream();
+
+    expect((await api("/feeds", "POST", { format: "yaml" })).status).toBe(400);
+    expect((await api("/feeds", "POST", { sort: "sideways" })).status).toBe(400);
+    expect((await api("/feeds", "POST", { window: "1y" })).status).toBe(400);
+    expect((await api("/feeds", "POST", { communities: { nested: true } })).status).toBe(400);
+  });
+});
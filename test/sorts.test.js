@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+function upstreamWithSorts(sorts) {
+  return mockGraphql(({ operationName }) => {
+    if (operationName === "PostSortQuery") {
+      return sorts ? { data: { __type: { enumValues: sorts.map((name) => ({ name })) } } } : { errors: [{ message: "introspection disabled" }] };
+    }
+    return postsPage([post("a")]);
+  });
+}
+
+const postsCalls = (calls) => calls.filter((c) => c.operationName === "PostsQuery");
+
+describe("?sort=", () => {
+  it("passes sorts the PostSort enum lists through to upstream", async () => {
+    const calls = upstreamWithSorts(["TOP_N", "NEWEST"]);
+
+    const resp = await request("/rss/all-digg-trending.xml?sort=newest");
+
+    expect(resp.status).toBe(200);
+    expect(await resp.text()).toContain("(Newest)");
+    expect(postsCalls(calls)[0].variables.sort).toBe("NEWEST");
+  });
+
+  it("keeps the enum apart from the cached community list", async () => {
+    mockGraphql(({ operationName }) => {
+      if (operationName === "CommunitiesQuery") {
+        return { data: { communities: { edges: [{ node: { name: "Tech", slug: "tech" } }], pageInfo: null } } };
+      }
+      if (operationName === "PostSortQuery") return { data: { __type: { enumValues: [{ name: "TOP_N" }, { name: "NEWEST" }] } } };
+      return postsPage([post("a")]);
+    });
+
+    expect((await request("/communities.json")).status).toBe(200);
+    expect((await request("/rss/tech.xml?sort=newest")).status).toBe(200);
+  });
+
+  it("rejects sorts the enum doesn't list with a 400, before building", async () => {
+    const calls = upstreamWithSorts(["TOP_N", "NEWEST"]);
+
+    const resp = await request("/rss/all-digg-trending.xml?sort=rising", { headers: { accept: "application/json" } });
+
+    expect(resp.status).toBe(400);
+    expect((await resp.json()).error.message).toContain("top, newest");
+    expect(postsCalls(calls)).toHaveLength(0);
+  });
+
+  it("tries allowlisted sorts when introspection is off, and remembers the ones upstream rejects", async () => {
+    const calls = mockGraphql(({ operationName, variables }) => {
+      if (operationName === "PostSortQuery") return [400, { errors: [{ message: "GraphQL introspection is not allowed" }] }];
+      if (variables.sort === "RISING") {
+        return [400, { errors: [{ message: 'Variable "$sort" got invalid value "RISING"; Value "RISING" does not exist in "PostSort" enum.' }] }];
+      }
+      return postsPage([post("a")]);
+    });
+    const JSON_ACCEPT = { headers: { accept: "application/json" } };
+
+    const newest = await request("/rss/all-digg-trending.xml?sort=newest");
+    expect(newest.status).toBe(200);
+    expect(postsCalls(calls)[0].variables.sort).toBe("NEWEST");
+
+    const rising = await request("/rss/all-digg-trending.xml?sort=rising", JSON_ACCEPT);
+    expect(rising.status).toBe(400);
+    expect((await rising.json()).error.message).toContain("Use one of: top, newest");
+
+    calls.length = 0;
+    expect((await request("/json/all-digg-trending.json?sort=rising", JSON_ACCEPT)).status).toBe(400);
+    expect(postsCalls(calls)).toHaveLength(0);
+  });
+
+  it("doesn't look the enum up for the default sort", async () => {
+    const calls = upstreamWithSorts(["TOP_N"]);
+
+    await request("/rss/all-digg-trending.xml");
+
+    expect(calls.map((c) => c.operationName)).not.toContain("PostSortQuery");
+  });
+});
@@ -0,0 +1,54 @@
+import { env } from "cloudflare:test";
+import { describe, expect, it } from "vitest";
+import { diggLink, mockDiggPage, mockGraphql, post, postsPage, request, useFakeUpstream } from "./helpers.js";
+
+useFakeUpstream();
+
+const FEED = "/json/all-digg-trending.json";
+
+describe("TL;DR store", () => {
+  it("serves a summary from TLDR_KV without fetching the Digg page", async () => {
+    const edge = post("kvhit");
+    mockGraphql(() => postsPage([edge]));
+    const page = mockDiggPage(edge, "From the page");
+    await env.TLDR_KV.put(`meta:${edge.node._id}`, JSON.stringify({ summary: "Stored summary" }));
+
+    const feed = await (await request(FEED)).json();
+
+    expect(feed.items[0].content_html).toContain("Stored summary");
+    expect(page.count).toBe(0);
+  });
+
+  it("scrapes the page on a KV miss and writes the metadata back", async () => {
+    const edge = post("kvmiss");
+    mockGraphql(() => postsPage([edge]));
+    const page = mockDiggPage(edge, "Fresh summary &mdash; scraped");
+
+    const feed = await (await request(FEED)).json();
+
+    expect(feed.items[0].content_html).toContain("Fresh summary — scraped");
+    expect(page.count).toBe(1);
+
+    const stored = await env.TLDR_KV.get(`meta:${edge.node._id}`, "json");
+    expect(stored).toMatchObject({ summary: "Fresh summary — scraped", siteName: "Example" });
+  });
+
+  it("falls back to the edge cache when TLDR_KV isn't bound", async () => {
+    const edge = post("edge");
+    mockGraphql(() => postsPage([edge]));
+    const page = mockDiggPage(edge, "Edge cached summary");
+    const bindings = { TLDR_KV: undefined };
+
+    const first = await (await request(FEED, { bindings })).json();
+    expect(first.items[0].content_html).toContain("Edge cached summary");
+
+    const cached = await caches.default.match(new Request(`${diggLink(edge)}#meta`));
+    expect(await cached.json()).toMatchObject({ summary: "Edge cached summary" });
+    expect(await env.TLDR_KV.get(`meta:${edge.node._id}`)).toBeNull();
+
+    // A different feed (own cache entry) reuses the cached metadata
+    const second = await (await request(`${FEED}?limit=5`, { bindings })).json();
+    expect(second.items[0].content_html).toContain("Edge cached summary");
+    expect(page.count).toBe(1);
+  });
+});
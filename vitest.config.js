@@ -0,0 +1,17 @@
+import { defineWorkersConfig } from "@cloudflare/vitest-pool-workers/config";
+
+// Tests run inside workerd with the bindings from wrangler.jsonc, backed by
+// Miniflare's local KV and cache. Outbound requests (Digg GraphQL and post
+// pages) are answered by fetchMock; nothing reaches the network.
+export default defineWorkersConfig({
+  test: {
+    poolOptions: {
+      workers: {
+        wrangler: { configPath: "./wrangler.jsonc" },
+        miniflare: {
+          bindings: { FEEDS_API_TOKEN: "test-token", LOG_LEVEL: "error" }
+        }
+      }
+    }
+  }
+});